@@ -0,0 +1,181 @@
+/**
+ * @import {Vow} from '@agoric/vow';
+ * @import {Zone} from '@agoric/zone';
+ * @import {MapStore, SetStore} from '@agoric/store';
+ * @import {ERef} from '@endo/far';
+ * @import {StorageNode} from '@agoric/internal/src/lib-chainStorage.js';
+ * @import {QstnAccountIndex} from '../types.js';
+ */
+
+import { M } from '@endo/patterns';
+import { E } from '@endo/far';
+import { Fail, q } from '@endo/errors';
+
+/**
+ * @typedef {{
+ *   address: string;
+ *   invitationMakers: unknown;
+ * }} IndexedAccount
+ *   an account in an owner's index, with what its holder continues offers on
+ */
+
+/**
+ * Prepares the index of the accounts each owner holds, by label.
+ *
+ * An owner is named by the LCA address of its first account, which a fresh
+ * `makeAccount` offer makes and which is its own owner. Later accounts join
+ * the index through the `MakeAccount` continuing invitation of one already
+ * in it, so no offer can claim an owner it does not hold an account of. The
+ * index is published per owner, to the owner's child of `node`. Holding any
+ * of an owner's accounts is what lets a holder look up the others.
+ *
+ * Making an account takes a while, so a `MakeAccount` offer reserves its
+ * label when it arrives, and `add` fills the reservation; an offer that
+ * fails releases it.
+ *
+ * @param {Zone} zone
+ * @param {{
+ *   publish: (node: ERef<StorageNode>, value: unknown) => Vow<void>;
+ *   node: ERef<StorageNode>;
+ * }} powers
+ */
+export const prepareAccountIndex = (zone, { publish, node }) => {
+  /**
+   * The accounts of each owner, by label.
+   *
+   * @type {MapStore<string, MapStore<string, IndexedAccount>>}
+   */
+  const owners = zone.mapStore('owners');
+  /**
+   * Owner of each indexed account, by LCA address.
+   *
+   * @type {MapStore<string, string>}
+   */
+  const ownerOf = zone.mapStore('ownerOf');
+  /**
+   * Labels that offers still making their accounts have reserved, by
+   * `reservationKey`.
+   *
+   * @type {SetStore<string>}
+   */
+  const reserved = zone.setStore('reserved');
+
+  /**
+   * @param {string} owner
+   * @param {string} label
+   */
+  const reservationKey = (owner, label) => JSON.stringify([owner, label]);
+
+  /** @param {string} owner */
+  const listAccounts = (owner) =>
+    harden(
+      [...owners.get(owner).entries()].map(([label, { address }]) => ({
+        label,
+        address,
+      })),
+    );
+
+  /** @param {string} owner */
+  const publishIndex = (owner) => {
+    /** @type {QstnAccountIndex} */
+    const index = { accounts: listAccounts(owner) };
+    return publish(E(node).makeChildNode(owner), index);
+  };
+
+  return zone.exo(
+    'AccountIndex',
+    M.interface('AccountIndex', {
+      assertLabelFree: M.call(M.string(), M.string()).returns(),
+      reserve: M.call(M.string(), M.string()).returns(),
+      release: M.call(M.string(), M.string()).returns(),
+      add: M.call(M.string(), M.string(), M.string(), M.remotable()).returns(),
+      getOwner: M.call(M.string()).returns(M.or(M.string(), M.undefined())),
+      lookup: M.call(M.string(), M.string()).returns(M.remotable()),
+      list: M.call(M.string()).returns(M.arrayOf(M.record())),
+    }),
+    {
+      /**
+       * @param {string} owner
+       * @param {string} label
+       */
+      assertLabelFree(owner, label) {
+        !(owners.has(owner) && owners.get(owner).has(label)) ||
+          Fail`${q(owner)} already has an account labeled ${q(label)}`;
+        !reserved.has(reservationKey(owner, label)) ||
+          Fail`${q(owner)} is already making an account labeled ${q(label)}`;
+      },
+      /**
+       * Holds a label of an owner's index for an account still being made.
+       *
+       * @param {string} owner
+       * @param {string} label
+       */
+      reserve(owner, label) {
+        owners.has(owner) || Fail`${q(owner)} has no accounts to join`;
+        this.self.assertLabelFree(owner, label);
+        reserved.add(reservationKey(owner, label));
+      },
+      /**
+       * Frees a label that an offer reserved but made no account for.
+       *
+       * @param {string} owner
+       * @param {string} label
+       */
+      release(owner, label) {
+        const key = reservationKey(owner, label);
+        if (reserved.has(key)) reserved.delete(key);
+      },
+      /**
+       * Adds an account to its owner's index, under a label that is free or
+       * that its offer reserved. An account that is its own owner starts the
+       * index, which must not exist yet.
+       *
+       * @param {string} owner
+       * @param {string} label
+       * @param {string} address LCA address of the account
+       * @param {unknown} invitationMakers of the account
+       */
+      add(owner, label, address, invitationMakers) {
+        owner !== address ||
+          !owners.has(owner) ||
+          Fail`${q(owner)} already has accounts; make more with the MakeAccount invitation of one of them`;
+        owner === address ||
+          owners.has(owner) ||
+          Fail`${q(owner)} has no accounts to join`;
+        this.self.release(owner, label);
+        this.self.assertLabelFree(owner, label);
+        if (!owners.has(owner)) {
+          owners.init(owner, zone.detached().mapStore('accounts'));
+        }
+        owners.get(owner).init(label, harden({ address, invitationMakers }));
+        ownerOf.init(address, owner);
+        void publishIndex(owner);
+      },
+      /**
+       * @param {string} address LCA address
+       * @returns {string | undefined} undefined for accounts made before the
+       *   index was
+       */
+      getOwner(address) {
+        return ownerOf.has(address) ? ownerOf.get(address) : undefined;
+      },
+      /**
+       * @param {string} owner
+       * @param {string} label
+       */
+      lookup(owner, label) {
+        const accounts = owners.has(owner) ? owners.get(owner) : undefined;
+        (accounts && accounts.has(label)) ||
+          Fail`${q(owner)} has no account labeled ${q(label)}`;
+        return accounts.get(label).invitationMakers;
+      },
+      /** @param {string} owner */
+      list(owner) {
+        return owners.has(owner) ? listAccounts(owner) : harden([]);
+      },
+    },
+  );
+};
+harden(prepareAccountIndex);
+
+/** @typedef {ReturnType<typeof prepareAccountIndex>} AccountIndex */
@@ -0,0 +1,422 @@
+/**
+ * @import {Vow, VowTools} from '@agoric/vow';
+ * @import {Zone} from '@agoric/zone';
+ * @import {ZoeTools} from '@agoric/orchestration/src/utils/zoe-tools.js';
+ * @import {ZCF} from '@agoric/zoe';
+ * @import {OfferHandler} from '@agoric/zoe/src/zoeService/types.js';
+ * @import {Amount, Brand} from '@agoric/ertp';
+ * @import {MapStore} from '@agoric/store';
+ * @import {ERef} from '@endo/far';
+ * @import {OrchestrationAccount} from '@agoric/orchestration';
+ * @import {StorageNode} from '@agoric/internal/src/lib-chainStorage.js';
+ * @import {GasPoolStatus, GasSponsorship, GMPMessageType, QstnEvent} from '../types.js';
+ */
+
+import { M } from '@endo/patterns';
+import { Fail, q } from '@endo/errors';
+import { AmountMath, AmountShape, BrandShape } from '@agoric/ertp';
+import { VowShape } from '@agoric/vow';
+import { makeTracer } from '@agoric/internal';
+import { EmptyProposalShape } from '@agoric/zoe/src/typeGuards.js';
+import { QstnEventKind } from '../utils/events.js';
+import { GAS_KEYWORD } from '../utils/gmp.js';
+import { GasSponsorshipShape } from '../utils/type-guards.js';
+
+const trace = makeTracer('GasPool', false);
+const { entries, fromEntries } = Object;
+
+const FundProposalShape = M.splitRecord({
+  give: { [GAS_KEYWORD]: AmountShape },
+});
+
+/**
+ * Prepares the contract's gas pool: gas that the creator funds, from which
+ * `sendTransactions` pays the Axelar gas of sponsored messages.
+ *
+ * The `admin` lets the creator fund and drain the pool, and choose who it
+ * sponsors. An account is sponsored for every GMP type when it has its own
+ * quota, and otherwise for the sponsored types up to the default quota.
+ * `sponsor` is what account kits draw on.
+ *
+ * @param {Zone} zone
+ * @param {{
+ *   zcf: ZCF;
+ *   vowTools: VowTools;
+ *   zoeTools: ZoeTools;
+ *   log: (event: QstnEvent) => Vow<void>;
+ *   publish: (node: ERef<StorageNode>, value: unknown) => Vow<void>;
+ *   node: ERef<StorageNode>;
+ * }} powers
+ */
+export const prepareGasPool = (
+  zone,
+  { zcf, vowTools, zoeTools, log, publish, node },
+) => {
+  /** @type {MapStore<'sponsorship', GasSponsorship>} */
+  const config = zone.mapStore('config');
+  /**
+   * Gas that allowlisted accounts may draw, by LCA address.
+   *
+   * @type {MapStore<string, bigint>}
+   */
+  const quotas = zone.mapStore('quotas');
+  /**
+   * Gas that each account has drawn, by LCA address.
+   *
+   * @type {MapStore<string, bigint>}
+   */
+  const usage = zone.mapStore('usage');
+
+  /** Holds the pool, under the keyword of its brand in the terms. */
+  const poolSeat = zone.makeOnce(
+    'poolSeat',
+    () => zcf.makeEmptySeatKit().zcfSeat,
+  );
+
+  /** @param {Brand} brand */
+  const keywordOf = (brand) => {
+    const found = entries(zcf.getTerms().brands).find(([_k, b]) => b === brand);
+    return found ? found[0] : Fail`${q(brand)} is not a brand of this contract`;
+  };
+
+  const getSponsorship = () =>
+    config.has('sponsorship') ? config.get('sponsorship') : undefined;
+
+  /** @param {Brand<'nat'>} brand */
+  const getBalance = (brand) =>
+    poolSeat.getAmountAllocated(keywordOf(brand), brand);
+
+  const publishStatus = () => {
+    const sponsorship = getSponsorship();
+    /** @type {GasPoolStatus} */
+    const status = {
+      ...sponsorship,
+      ...(sponsorship && { balance: getBalance(sponsorship.brand) }),
+      quotas: fromEntries(quotas.entries()),
+      usage: fromEntries(usage.entries()),
+    };
+    return publish(node, status);
+  };
+  void publishStatus();
+
+  /**
+   * @param {string} account
+   * @param {bigint} delta negative when gas comes back to the pool
+   */
+  const addUsage = (account, delta) => {
+    const used = (usage.has(account) ? usage.get(account) : 0n) + delta;
+    const clamped = used > 0n ? used : 0n;
+    if (usage.has(account)) {
+      usage.set(account, clamped);
+    } else {
+      usage.init(account, clamped);
+    }
+  };
+
+  /** @param {string} account */
+  const quotaOf = (account) => {
+    if (quotas.has(account)) return quotas.get(account);
+    return getSponsorship()?.defaultQuota ?? 0n;
+  };
+
+  const sponsorWatcher = zone.exo(
+    'GasSponsorWatcher',
+    M.interface('GasSponsorWatcher', {
+      onFulfilled: M.call(M.any(), M.record()).returns(AmountShape),
+      onRejected: M.call(M.error(), M.record()).returns(),
+    }),
+    {
+      /**
+       * @param {void} _result
+       * @param {{ account: string; amount: Amount<'nat'> }} ctx
+       */
+      onFulfilled(_result, { account, amount }) {
+        void publishStatus();
+        void log({
+          kind: QstnEventKind.GAS_SPONSORED,
+          account,
+          detail: { amount },
+        });
+        return amount;
+      },
+      /**
+       * localTransfer has put the gas back in the pool.
+       *
+       * @param {Error} reason
+       * @param {{ account: string; amount: Amount<'nat'> }} ctx
+       */
+      onRejected(reason, { account, amount }) {
+        addUsage(account, -amount.value);
+        void publishStatus();
+        throw reason;
+      },
+    },
+  );
+
+  const reclaimWatcher = zone.exo(
+    'GasReclaimWatcher',
+    M.interface('GasReclaimWatcher', {
+      onFulfilled: M.call(M.any(), M.record()).returns(),
+      onRejected: M.call(M.error(), M.record()).returns(),
+    }),
+    {
+      /**
+       * @param {void} _result
+       * @param {{ account: string; amount: Amount<'nat'> }} ctx
+       */
+      onFulfilled(_result, { account, amount }) {
+        addUsage(account, -amount.value);
+        void publishStatus();
+        void log({
+          kind: QstnEventKind.GAS_RECLAIMED,
+          account,
+          detail: { amount },
+        });
+      },
+      /**
+       * The gas stays in the account's LCA.
+       *
+       * @param {Error} reason
+       * @param {{ account: string; amount: Amount<'nat'> }} ctx
+       */
+      onRejected(reason, { account, amount }) {
+        trace('reclaim failed', account, amount, reason);
+      },
+    },
+  );
+
+  const admin = zone.exo(
+    'GasPoolAdmin',
+    M.interface('GasPoolAdmin', {
+      setSponsorship: M.call(GasSponsorshipShape).returns(),
+      setAccountQuota: M.call(M.string(), M.nat()).returns(),
+      removeAccount: M.call(M.string()).returns(),
+      resetUsage: M.call(M.string()).returns(),
+      makeFundInvitation: M.call().returns(M.promise()),
+      makeDrainInvitation: M.call().returns(M.promise()),
+    }),
+    {
+      /**
+       * Sets the pool's brand, and the GMP types and default quota it
+       * sponsors every account for. The brand can only change while the pool
+       * is empty.
+       *
+       * @param {GasSponsorship} sponsorship
+       */
+      setSponsorship(sponsorship) {
+        keywordOf(sponsorship.brand);
+        const current = getSponsorship();
+        if (current && current.brand !== sponsorship.brand) {
+          AmountMath.isEmpty(getBalance(current.brand)) ||
+            Fail`drain the gas pool before changing its brand`;
+        }
+        if (current) {
+          config.set('sponsorship', sponsorship);
+        } else {
+          config.init('sponsorship', sponsorship);
+        }
+        void publishStatus();
+        void log({
+          kind: QstnEventKind.GAS_SPONSORSHIP_SET,
+          detail: { ...sponsorship },
+        });
+      },
+      /**
+       * Sponsors an account for every GMP type, up to `quota` of gas in
+       * total.
+       *
+       * @param {string} account LCA address
+       * @param {bigint} quota
+       */
+      setAccountQuota(account, quota) {
+        if (quotas.has(account)) {
+          quotas.set(account, quota);
+        } else {
+          quotas.init(account, quota);
+        }
+        void publishStatus();
+        void log({
+          kind: QstnEventKind.GAS_QUOTA_SET,
+          account,
+          detail: { quota },
+        });
+      },
+      /**
+       * Returns an account to the default quota and sponsored types.
+       *
+       * @param {string} account LCA address
+       */
+      removeAccount(account) {
+        if (!quotas.has(account)) return;
+        quotas.delete(account);
+        void publishStatus();
+        void log({ kind: QstnEventKind.GAS_QUOTA_SET, account, detail: {} });
+      },
+      /**
+       * Forgets the gas that an account has drawn, renewing its quota.
+       *
+       * @param {string} account LCA address
+       */
+      resetUsage(account) {
+        if (!usage.has(account)) return;
+        usage.delete(account);
+        void publishStatus();
+      },
+      /**
+       * Makes an invitation that adds the `Gas` it gives to the pool.
+       */
+      makeFundInvitation() {
+        /** @type {OfferHandler} */
+        const handler = (seat) => {
+          const sponsorship =
+            getSponsorship() ?? Fail`set the gas sponsorship first`;
+          const { [GAS_KEYWORD]: given } = seat.getProposal().give;
+          given.brand === sponsorship.brand ||
+            Fail`the gas pool holds ${q(sponsorship.brand)}, not ${q(given.brand)}`;
+          zcf.atomicRearrange(
+            harden([
+              [
+                seat,
+                poolSeat,
+                { [GAS_KEYWORD]: given },
+                { [keywordOf(given.brand)]: given },
+              ],
+            ]),
+          );
+          seat.exit();
+          void publishStatus();
+          void log({
+            kind: QstnEventKind.GAS_POOL_FUNDED,
+            detail: { amount: given },
+          });
+        };
+        return zcf.makeInvitation(
+          handler,
+          'fundGasPool',
+          undefined,
+          FundProposalShape,
+        );
+      },
+      /**
+       * Makes an invitation that pays out everything in the pool.
+       */
+      makeDrainInvitation() {
+        /** @type {OfferHandler} */
+        const handler = (seat) => {
+          const drained = poolSeat.getCurrentAllocation();
+          zcf.atomicRearrange(harden([[poolSeat, seat, drained]]));
+          seat.exit();
+          void publishStatus();
+          void log({
+            kind: QstnEventKind.GAS_POOL_DRAINED,
+            detail: { drained },
+          });
+          return drained;
+        };
+        return zcf.makeInvitation(
+          handler,
+          'drainGasPool',
+          undefined,
+          EmptyProposalShape,
+        );
+      },
+    },
+  );
+
+  const sponsor = zone.exo(
+    'GasPoolSponsor',
+    M.interface('GasPoolSponsor', {
+      getBrand: M.call().returns(M.or(BrandShape, M.undefined())),
+      canSponsor: M.call(M.string(), M.number(), M.nat()).returns(M.boolean()),
+      sponsor: M.call(M.string(), M.remotable('LCA'), M.nat()).returns(
+        VowShape,
+      ),
+      reclaim: M.call(M.string(), M.remotable('LCA'), AmountShape).returns(
+        VowShape,
+      ),
+    }),
+    {
+      getBrand() {
+        return getSponsorship()?.brand;
+      },
+      /**
+       * Whether the pool would sponsor `value` of gas for an account's
+       * message of `type`: the account is sponsored for the type, and both
+       * its remaining quota and the pool's balance hold `value`.
+       *
+       * @param {string} account LCA address
+       * @param {GMPMessageType} type of a message that pays gas
+       * @param {bigint} value
+       */
+      canSponsor(account, type, value) {
+        const sponsorship = getSponsorship();
+        if (!sponsorship) return false;
+        if (!quotas.has(account) && !sponsorship.types.includes(type)) {
+          return false;
+        }
+        const used = usage.has(account) ? usage.get(account) : 0n;
+        return (
+          quotaOf(account) - used >= value &&
+          getBalance(sponsorship.brand).value >= value
+        );
+      },
+      /**
+       * Moves gas from the pool straight into an account's LCA, and counts it
+       * against the account's quota. The gas never rests on the seat of the
+       * offer it pays for, which could exit with it.
+       *
+       * @param {string} account LCA address
+       * @param {OrchestrationAccount<{ chainId: 'agoric' }>} localAccount
+       * @param {bigint} value
+       * @returns {Vow<Amount<'nat'>>} the gas moved
+       */
+      sponsor(account, localAccount, value) {
+        const { brand } = getSponsorship() ?? Fail`no gas sponsorship`;
+        const amount = AmountMath.make(brand, value);
+        const used = usage.has(account) ? usage.get(account) : 0n;
+        const left = quotaOf(account) - used;
+        left >= value ||
+          Fail`${q(account)} has ${q(left > 0n ? left : 0n)} of its gas quota left but needs ${q(value)}; give ${q(GAS_KEYWORD)} instead`;
+        const balance = getBalance(brand);
+        AmountMath.isGTE(balance, amount) ||
+          Fail`the gas pool holds ${q(balance)} but needs ${q(amount)}; give ${q(GAS_KEYWORD)} instead`;
+        // counted now rather than once the gas arrives, so that concurrent
+        // offers cannot both spend the same quota
+        addUsage(account, value);
+        return vowTools.watch(
+          zoeTools.localTransfer(
+            poolSeat,
+            localAccount,
+            harden({ [keywordOf(brand)]: amount }),
+          ),
+          sponsorWatcher,
+          harden({ account, amount }),
+        );
+      },
+      /**
+       * Returns sponsored gas that came back to an account's LCA with a
+       * failed transfer.
+       *
+       * @param {string} account LCA address
+       * @param {OrchestrationAccount<{ chainId: 'agoric' }>} localAccount
+       * @param {Amount<'nat'>} amount
+       */
+      reclaim(account, localAccount, amount) {
+        return vowTools.watch(
+          zoeTools.withdrawToSeat(
+            localAccount,
+            poolSeat,
+            harden({ [keywordOf(amount.brand)]: amount }),
+          ),
+          reclaimWatcher,
+          harden({ account, amount }),
+        );
+      },
+    },
+  );
+
+  return harden({ admin, sponsor });
+};
+harden(prepareGasPool);
+
+/** @typedef {ReturnType<typeof prepareGasPool>} GasPool */
@@ -1,94 +1,1045 @@
 /**
- * @import {Vow, VowTools} from '@agoric/vow';
+ * @import {VTransferIBCEvent} from '@agoric/vats';
+ * @import {Remote, Vow, VowTools} from '@agoric/vow';
+ * @import {TimerService} from '@agoric/time';
  * @import {Zone} from '@agoric/zone';
  * @import {TypedPattern} from '@agoric/internal';
  * @import {ZoeTools} from '@agoric/orchestration/src/utils/zoe-tools.js';
- * @import {AccountTapState as AccountTapState, AxelarGmpOutgoingMemo} from '../types.js';
+ * @import {FungibleTokenPacketData} from '@agoric/cosmic-proto/ibc/applications/transfer/v2/packet.js';
+ * @import {AccountTapState as AccountTapState, AxelarFeeObject, AxelarGmpOutgoingMemo, InboundResponse, LimitedSend, MakeAccountOfferArgs, OutboundMessage, QstnAccountLimits, QstnDelegation, QstnDelegationScope, QstnEvent, QstnServiceFee, QstnSettings, SubaccountDeposit} from '../types.js';
  * @import {ZCF, ZCFSeat} from '@agoric/zoe';
- * @import {CrossChainContractMessage} from "../utils/types.js"
+ * @import {Amount, AmountKeywordRecord, Brand} from '@agoric/ertp';
+ * @import {MapStore, SetStore} from '@agoric/store';
+ * @import {ERef} from '@endo/far';
+ * @import {AmountArg, CosmosChainAddress, OrchestrationAccount} from '@agoric/orchestration';
+ * @import {HostInterface} from '@agoric/async-flow';
+ * @import {OfferHandler} from '@agoric/zoe/src/zoeService/types.js';
+ * @import {Marshaller, StorageNode} from '@agoric/internal/src/lib-chainStorage.js';
+ * @import {CrossChainContractMessage, GmpRouteInfo, RemoteChannelInfo} from "../utils/types.js"
+ * @import {GasPool} from './gas-pool.js';
+ * @import {AccountIndex} from './account-index.js';
+ * @import {InterfaceGuard} from '@endo/patterns';
  */
 
-import { M, mustMatch } from '@endo/patterns';
+import { M, getInterfaceGuardPayload, mustMatch } from '@endo/patterns';
+import { E } from '@endo/far';
 import { VowShape } from '@agoric/vow';
 import { makeTracer, NonNullish } from '@agoric/internal';
-import { Fail } from '@endo/errors';
-import { CosmosChainAddressShape } from '@agoric/orchestration';
-import { gmpAddresses } from '../utils/gmp.js';
-import { COSMOS_CHAINS } from '../utils/chains.js';
+import { Fail, q } from '@endo/errors';
+import { AmountMath } from '@agoric/ertp';
+import { atob } from '@endo/base64';
+import { AmountArgShape, CosmosChainAddressShape } from '@agoric/orchestration';
+import {
+  AmountKeywordRecordShape,
+  EmptyProposalShape,
+} from '@agoric/zoe/src/typeGuards.js';
+import {
+  AxelarGMPMessageType,
+  DIRECT_GMP_ROUTE,
+  GAS_KEYWORD,
+  appendNonce,
+  decodeGMPPayload,
+  gmpAddresses,
+  mergeGMPPayloads,
+  splitCallResults,
+  parseIncomingMemo,
+  decodeAgoricResponse,
+} from '../utils/gmp.js';
+import {
+  ActiveChainType,
+  COSMOS_CHAINS,
+  toCosmosChainName,
+} from '../utils/chains.js';
+import { QstnEventKind } from '../utils/events.js';
+import { buildOsmosisSwapMemo } from '../utils/osmosis.js';
+import { encodeMsgDepositToSubaccount } from '../utils/dydx.js';
+import { PFM_RECEIVER, buildForwardMemo } from '../utils/pfm.js';
+import {
+  AccountLabelShape,
+  DelegationScopeShape,
+  SendTransactionsOfferArgsShape,
+  assertSendTransactionsOfferArgs,
+} from '../utils/type-guards.js';
+import { listsAddress, normalizeTarget } from '../utils/targets.js';
+import { FEE_KEYWORD, computeServiceFee } from '../utils/service-fee.js';
+import { checkLimits, uncountSends } from '../utils/limits.js';
+import {
+  assertInScope,
+  countSpending,
+  uncountSpending,
+} from '../utils/delegation.js';
 
 const trace = makeTracer('AccountKit', false);
-const { entries } = Object;
+
+/**
+ * An account on a remote chain made for a holder, with its address.
+ *
+ * @typedef {{
+ *   account: HostInterface<OrchestrationAccount<any>>;
+ *   address: CosmosChainAddress;
+ * }} RemoteAccount
+ */
+
+const { entries, keys, fromEntries } = Object;
+
+const NANOSECONDS_PER_SECOND = 1_000_000_000n;
 
 const ACCOUNTI = M.interface('holder', {
   getNonce: M.call().returns(M.bigint()),
   getLocalAddress: M.call().returns(M.any()),
+  getLatestMessage: M.call().returns(M.any()),
   send: M.call(M.any(), M.any()).returns(M.any()),
-  sendTransactions: M.call(M.any(), M.any()).returns(M.any()),
+  sendTransactions: M.call(M.any(), SendTransactionsOfferArgsShape).returns(
+    M.any(),
+  ),
   fundLCA: M.call(M.any(), M.any()).returns(VowShape),
+  withdraw: M.call(M.any(), M.any()).returns(M.any()),
 });
 harden(ACCOUNTI);
 
-const InvitationMakerI = M.interface('invitationMaker', {
-  makeTransactionInvitation: M.call(M.string(), M.array()).returns(M.any()),
+const GiveProposalShape = M.splitRecord({ give: AmountKeywordRecordShape });
+const WantProposalShape = M.splitRecord({ want: AmountKeywordRecordShape });
+
+const InvitationMakerI = M.interface('invitationMakers', {
+  SendTransactions: M.call().returns(M.promise()),
+  Fund: M.call().returns(M.promise()),
+  Send: M.call(CosmosChainAddressShape, AmountArgShape).returns(M.promise()),
+  Withdraw: M.call().returns(M.promise()),
+  GetLocalAddress: M.call().returns(M.promise()),
+  GetLatestMessage: M.call().returns(M.promise()),
+  GetNonce: M.call().returns(M.promise()),
+  MakeAccount: M.call().returns(M.promise()),
+  GetAccount: M.call(AccountLabelShape).returns(M.promise()),
+  ListAccounts: M.call().returns(M.promise()),
+  Delegate: M.call(M.string(), DelegationScopeShape).returns(M.promise()),
+  ListDelegations: M.call().returns(M.promise()),
+  RevokeDelegation: M.call(M.bigint()).returns(M.promise()),
+  SendTransactionsFor: M.call(M.string(), M.bigint()).returns(M.promise()),
 });
 harden(InvitationMakerI);
 
 /** @type {TypedPattern<AccountTapState>} */
-const AccountKitStateShape = {
+const AccountTapStateShape = {
   localChainAddress: CosmosChainAddressShape,
   localChainId: M.string(),
   localAccount: M.remotable('LocalAccount'),
   assets: M.any(),
 };
+harden(AccountTapStateShape);
+
+/**
+ * @typedef {AccountTapState & {
+ *   latestMessage: InboundResponse | undefined;
+ *   nonce: bigint;
+ *   messages: MapStore<bigint, OutboundMessage>;
+ *   pendingNonces: SetStore<bigint>;
+ *   responseCount: bigint;
+ *   withdrawable: MapStore<Brand, Amount<'nat'>>;
+ *   dydxAccount: RemoteAccount | undefined;
+ *   awaitingResponse: MapStore<string, bigint[]>;
+ *   recentSends: LimitedSend[];
+ *   delegations: MapStore<bigint, QstnDelegation>;
+ *   delegationCount: bigint;
+ * }} AccountKitState
+ */
+
+/**
+ * The state of an account kit, enforced by the durable kind.
+ *
+ * An upgrade must redefine the kind with a compatible shape: a field already
+ * here keeps exactly the same pattern, and a new field must be optional.
+ * Accounts made before a field was added read it as undefined until
+ * `migrateState` fills it in. The first release's accounts are of another
+ * kind; see `prepareLegacyAccountKit`.
+ *
+ * @type {TypedPattern<AccountKitState>}
+ */
+const AccountKitStateShape = {
+  ...AccountTapStateShape,
+  latestMessage: M.opt(M.record()),
+  nonce: M.opt(M.bigint()),
+  messages: M.opt(M.remotable('messages')),
+  pendingNonces: M.opt(M.remotable('pendingNonces')),
+  responseCount: M.opt(M.bigint()),
+  withdrawable: M.opt(M.remotable('withdrawable')),
+  dydxAccount: M.opt({
+    account: M.remotable(),
+    address: CosmosChainAddressShape,
+  }),
+  awaitingResponse: M.opt(M.remotable('awaitingResponse')),
+  recentSends: M.opt(M.arrayOf({ at: M.bigint(), amount: M.record() })),
+  delegations: M.opt(M.remotable('delegations')),
+  delegationCount: M.opt(M.bigint()),
+};
 harden(AccountKitStateShape);
 
+/**
+ * Reads the nonce that `sendTransactions` put in the memo of an outbound
+ * transfer.
+ *
+ * @param {string} [memo]
+ * @returns {bigint | undefined}
+ */
+const parseOutgoingNonce = (memo) => {
+  try {
+    const parsed = JSON.parse(memo || '{}');
+    // a swap carries it in the memo of its forwarded output
+    const nonce =
+      parsed.nonce ?? parsed.wasm?.msg?.osmosis_swap?.next_memo?.nonce;
+    return typeof nonce === 'string' ? BigInt(nonce) : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+/** Keywords of an offer's give that pay fees, rather than messages. */
+const RESERVED_KEYWORDS = harden([FEE_KEYWORD, GAS_KEYWORD]);
+
+/**
+ * Whether a message pays Axelar gas: GMP types 1 and 2 do.
+ *
+ * @param {CrossChainContractMessage} message
+ */
+const paysAxelarGas = ({ chainType, type }) =>
+  chainType === ActiveChainType.EVM && type !== AxelarGMPMessageType.TOKEN_ONLY;
+
+/**
+ * Pairs each message with the Amount it sends, and checks that together the
+ * messages account for exactly what the offer gave, apart from the service
+ * fee and Axelar gas.
+ *
+ * A message names the `give` keyword it draws from; it may omit the keyword
+ * when the offer gives a single keyword.
+ *
+ * @param {CrossChainContractMessage[]} messages
+ * @param {AmountKeywordRecord} give
+ * @returns {Amount<'nat'>[]} one Amount per message, in order
+ */
+const allocateMessageAmounts = (messages, give) => {
+  const keywords = keys(give).filter((k) => !RESERVED_KEYWORDS.includes(k));
+  /** @type {Map<string, Amount<'nat'>>} */
+  const totals = new Map();
+
+  const amounts = messages.map((message, index) => {
+    const keyword =
+      message.keyword ??
+      (keywords.length === 1
+        ? keywords[0]
+        : Fail`message ${q(index)} must name one of the keywords ${q(keywords)}`);
+    !RESERVED_KEYWORDS.includes(keyword) ||
+      Fail`message ${q(index)} cannot draw from ${q(keyword)}`;
+    const given = /** @type {Amount<'nat'>} */ (
+      give[keyword] ??
+        Fail`message ${q(index)} keyword ${q(keyword)} is not in the offer's give`
+    );
+    const amount = AmountMath.make(given.brand, message.amount);
+    !AmountMath.isEmpty(amount) ||
+      Fail`IBC transfer amount must be greater than zero`;
+
+    const total = totals.get(keyword);
+    totals.set(keyword, total ? AmountMath.add(total, amount) : amount);
+    return amount;
+  });
+
+  for (const keyword of keywords) {
+    const total = totals.get(keyword);
+    (total && AmountMath.isEqual(total, give[keyword])) ||
+      Fail`messages send ${q(total)} of ${q(keyword)} but the offer gives ${q(give[keyword])}`;
+  }
+
+  return harden(amounts);
+};
+
+/**
+ * Key under which messages await the response of the contract they called.
+ * Axelar reports the chain and address a response comes from, which are
+ * those that the message was sent to.
+ *
+ * @param {string} chain
+ * @param {string} address
+ */
+const responseKey = (chain, address) =>
+  `${chain.toLowerCase()}:${address.toLowerCase()}`;
+
+/**
+ * @typedef {{
+ *   message: CrossChainContractMessage;
+ *   amount: Amount<'nat'>;
+ *   route: string | undefined;
+ *   indexes: number[];
+ *   callCounts?: number[];
+ * }} PlannedSend
+ *   a transfer carrying the messages at `indexes` of the offer
+ */
+
+/**
+ * Groups messages into the transfers that carry them. Without `batch`, each
+ * message gets its own transfer. With it, contract calls (GMP types 1 and
+ * 2) that share a destination, route, timeout and brand are merged into one
+ * transfer whose payload makes all of their calls, so Axelar gas is paid
+ * once per destination. Merged payloads must be ABI-encoded
+ * `(address,bytes)[]` calls, as `buildGMPPayload` makes them.
+ *
+ * @param {CrossChainContractMessage[]} messages
+ * @param {Amount<'nat'>[]} amounts
+ * @param {(string | undefined)[]} routes
+ * @param {boolean} batch
+ * @returns {PlannedSend[]}
+ */
+const planSends = (messages, amounts, routes, batch) => {
+  /** @type {{ key: string | undefined; indexes: number[] }[]} */
+  const groups = [];
+  for (const [index, message] of messages.entries()) {
+    const key =
+      batch && paysAxelarGas(message)
+        ? JSON.stringify([
+            responseKey(message.destinationChain, message.destinationAddress),
+            message.type,
+            routes[index],
+            String(message.timeoutSeconds ?? ''),
+          ])
+        : undefined;
+    const group =
+      key !== undefined &&
+      groups.find(
+        (g) =>
+          g.key === key && amounts[g.indexes[0]].brand === amounts[index].brand,
+      );
+    if (group) {
+      group.indexes.push(index);
+    } else {
+      groups.push({ key, indexes: [index] });
+    }
+  }
+
+  return harden(
+    groups.map(({ indexes }) => {
+      const [first] = indexes;
+      if (indexes.length === 1) {
+        return {
+          message: messages[first],
+          amount: amounts[first],
+          route: routes[first],
+          indexes,
+        };
+      }
+      const payloads = indexes.map((i) => {
+        const payload = /** @type {number[]} */ (messages[i].payload);
+        try {
+          decodeGMPPayload(payload);
+        } catch {
+          Fail`message ${q(i)} cannot be merged: its payload is not a list of contract calls`;
+        }
+        return payload;
+      });
+      const { payload, callCounts } = mergeGMPPayloads(payloads);
+      const amount = indexes
+        .map((i) => amounts[i])
+        .reduce((sum, amt) => AmountMath.add(sum, amt));
+      return {
+        message: { ...messages[first], payload, amount: amount.value },
+        amount,
+        route: routes[first],
+        indexes,
+        callCounts,
+      };
+    }),
+  );
+};
+
 /**
  * @param {Zone} zone
  * @param {{
  *   zcf: ZCF;
  *   vowTools: VowTools;
- *   log: (msg: string) => Vow<void>;
+ *   log: (event: QstnEvent) => Vow<void>;
  *   zoeTools: ZoeTools;
+ *   remoteChannels: MapStore<string, RemoteChannelInfo>;
+ *   gmpRoutes: MapStore<string, GmpRouteInfo>;
+ *   getIssuingChain: (denom: string) => string | undefined;
+ *   settings: MapStore<keyof QstnSettings, QstnSettings[keyof QstnSettings]>;
+ *   pauses: MapStore<'newAccounts' | 'sends', string>;
+ *   pausedChains: MapStore<string, string>;
+ *   allowedTargets: MapStore<string, string[]>;
+ *   deniedTargets: MapStore<string, string[]>;
+ *   feeSeat: ZCFSeat;
+ *   gasPool: GasPool['sponsor'];
+ *   accountLimits: MapStore<string, QstnAccountLimits>;
+ *   accountIndex: AccountIndex;
+ *   delegators: MapStore<string, AccountKit['delegated']>;
+ *   makeAccount: (
+ *     seat: ZCFSeat,
+ *     offerArgs: MakeAccountOfferArgs,
+ *     owner: string,
+ *   ) => Vow<unknown>;
+ *   timerService: Remote<TimerService>;
+ *   makeRemoteAccount: (
+ *     chainName: string,
+ *     owner: string,
+ *   ) => Vow<RemoteAccount>;
+ *   accountsNode: ERef<StorageNode>;
+ *   marshaller: ERef<Marshaller>;
  * }} powers
  */
-export const prepareAccountKit = (zone, { zcf, vowTools, log, zoeTools }) => {
-  return zone.exoClassKit(
-    'AccountKit',
+export const prepareAccountKit = (
+  zone,
+  {
+    zcf,
+    vowTools,
+    log,
+    zoeTools,
+    remoteChannels,
+    gmpRoutes,
+    getIssuingChain,
+    settings,
+    pauses,
+    pausedChains,
+    allowedTargets,
+    deniedTargets,
+    feeSeat,
+    gasPool,
+    accountLimits,
+    accountIndex,
+    delegators,
+    makeAccount,
+    timerService,
+    makeRemoteAccount,
+    accountsNode,
+    marshaller,
+  },
+) => {
+  /** @param {string} chainName */
+  const getRemoteChannel = (chainName) =>
+    remoteChannels.has(chainName)
+      ? remoteChannels.get(chainName)
+      : Fail`No remote channel registered for ${q(chainName)}`;
+
+  /**
+   * Rejects messages while all sends, or sends to their destination chain,
+   * are paused by the creator.
+   *
+   * @param {CrossChainContractMessage[]} messages
+   */
+  const assertSendsNotPaused = (messages) => {
+    if (pauses.has('sends')) {
+      Fail`Sends are paused: ${q(pauses.get('sends'))}`;
+    }
+    for (const { destinationChain } of messages) {
+      const { chain } = normalizeTarget({ chain: destinationChain });
+      if (pausedChains.has(chain)) {
+        Fail`Sends to ${q(chain)} are paused: ${q(pausedChains.get(chain))}`;
+      }
+    }
+  };
+
+  /**
+   * Rejects messages to a target on the creator's denylist, or, while the
+   * allowlist is enforced, to one that is not on it.
+   *
+   * @param {CrossChainContractMessage[]} messages
+   */
+  const assertTargetsAllowed = (messages) => {
+    const enforced = settings.get('allowlistEnforced');
+    for (const { destinationChain, destinationAddress } of messages) {
+      const { chain, address } = normalizeTarget({
+        chain: destinationChain,
+        address: destinationAddress,
+      });
+      !listsAddress(
+        deniedTargets.has(chain) ? deniedTargets.get(chain) : undefined,
+        address,
+      ) || Fail`${q(destinationAddress)} on ${q(chain)} is denied`;
+      !enforced ||
+        listsAddress(
+          allowedTargets.has(chain) ? allowedTargets.get(chain) : undefined,
+          address,
+        ) ||
+        Fail`${q(destinationAddress)} on ${q(chain)} is not on the allowlist`;
+    }
+  };
+
+  /** @param {string} route */
+  const getGmpRoute = (route) =>
+    gmpRoutes.has(route)
+      ? gmpRoutes.get(route)
+      : Fail`No GMP route registered via ${q(route)}`;
+
+  /**
+   * Checks, before any funds move, that an EVM message's route to Axelar
+   * exists. Through a hop, the denom must be issued on Agoric or on the hop:
+   * the LCA sends any other denom through its issuing chain on its own, with
+   * the hop's forward memo wrapped in one of its own.
+   *
+   * @param {string} route
+   * @param {string} denom
+   * @returns {string} the route
+   */
+  const checkGmpRoute = (route, denom) => {
+    if (route === DIRECT_GMP_ROUTE) {
+      getRemoteChannel(COSMOS_CHAINS.Axelar);
+    } else {
+      getGmpRoute(route);
+      const issuer = getIssuingChain(denom);
+      issuer !== undefined || Fail`${q(denom)} is not in the chainHub`;
+      issuer === 'agoric' ||
+        issuer === route ||
+        Fail`${q(denom)} is issued on ${q(issuer)}, so it cannot be forwarded via ${q(route)}`;
+    }
+    return route;
+  };
+
+  /**
+   * Checks, before any funds move, that a Cosmos message can be delivered:
+   * its chain has a remote channel, its address belongs to that chain, and a
+   * subaccount deposit is paid in USDC.
+   *
+   * @param {CrossChainContractMessage} message
+   * @param {Amount<'nat'>} amount
+   */
+  const checkCosmosMessage = (message, amount) => {
+    const { destinationChain, destinationAddress } = message;
+    const { remoteChainInfo } = getRemoteChannel(
+      toCosmosChainName(destinationChain),
+    );
+    // a swap's receiver may be on any chain Osmosis forwards to
+    if (!message.swap && 'bech32Prefix' in remoteChainInfo) {
+      const { bech32Prefix } = remoteChainInfo;
+      destinationAddress.startsWith(`${bech32Prefix}1`) ||
+        Fail`${q(destinationAddress)} is not a ${q(bech32Prefix)} address`;
+    }
+    if (message.subaccountNumber !== undefined) {
+      const { USDC } = zcf.getTerms().brands;
+      amount.brand === USDC || Fail`dYdX subaccount deposits must be in USDC`;
+    }
+  };
+
+  /**
+   * @param {string} address LCA address
+   * @param {string[]} path below the account's node
+   */
+  const makeAccountNode = (address, ...path) =>
+    path.reduce(
+      (node, name) => E(node).makeChildNode(name),
+      E(accountsNode).makeChildNode(address),
+    );
+
+  /**
+   * Fills in the state fields that an account made by an earlier version of
+   * this contract lacks, with the values a new account starts with. The tap
+   * and the holder methods that use those fields call it first.
+   *
+   * @param {AccountKitState} state
+   */
+  const migrateState = (state) => {
+    if (state.nonce === undefined) state.nonce = 0n;
+    if (state.responseCount === undefined) state.responseCount = 0n;
+    if (state.messages === undefined) {
+      state.messages = zone.detached().mapStore('messages');
+    }
+    if (state.pendingNonces === undefined) {
+      state.pendingNonces = zone.detached().setStore('pendingNonces');
+    }
+    if (state.withdrawable === undefined) {
+      state.withdrawable = zone.detached().mapStore('withdrawable');
+    }
+    if (state.awaitingResponse === undefined) {
+      state.awaitingResponse = zone.detached().mapStore('awaitingResponse');
+    }
+    if (state.recentSends === undefined) state.recentSends = harden([]);
+    if (state.delegations === undefined) {
+      state.delegations = zone.detached().mapStore('delegations');
+    }
+    if (state.delegationCount === undefined) state.delegationCount = 0n;
+  };
+
+  /**
+   * @param {ERef<StorageNode>} node
+   * @param {unknown} value
+   */
+  const publish = (node, value) =>
+    vowTools.watch(
+      E.when(E(marshaller).toCapData(harden(value)), (capData) =>
+        E(node).setValue(JSON.stringify(capData)),
+      ),
+    );
+
+  const makeAccountKit = zone.exoClassKit(
+    'QstnAccountKit',
     {
+      tap: M.interface('tap', {
+        receiveUpcall: M.call(M.record()).returns(
+          M.or(VowShape, M.undefined()),
+        ),
+      }),
       transferWatcher: M.interface('TransferWatcher', {
-        onFulfilled: M.call(M.undefined())
-          .optional(M.bigint())
-          .returns(VowShape),
+        onFulfilled: M.call(M.any(), M.bigint()).returns(),
+        onRejected: M.call(M.error(), M.bigint()).returns(),
+      }),
+      depositWatcher: M.interface('DepositWatcher', {
+        onFulfilled: M.call(M.any(), M.bigint()).returns(),
+        onRejected: M.call(M.error(), M.bigint()).returns(),
+      }),
+      helper: M.interface('helper', {
+        publishStatus: M.call().returns(),
+        recordMessage: M.call(M.record()).returns(),
+        updateMessage: M.call(M.bigint(), M.record()).returns(),
+        recordResponse: M.call(M.record()).returns(),
+        creditRefund: M.call(M.bigint()).returns(),
+        awaitResponse: M.call(M.bigint()).returns(),
+        stopAwaitingResponse: M.call(M.bigint()).returns(),
+        matchResponse: M.call(M.record()).returns(
+          M.or(M.bigint(), M.undefined()),
+        ),
+        depositToSubaccount: M.call(M.bigint()).returns(),
+        getOwner: M.call().returns(M.string()),
       }),
       holder: ACCOUNTI,
+      delegated: M.interface('delegated', {
+        sendTransactions: M.call(
+          M.any(),
+          SendTransactionsOfferArgsShape,
+          M.string(),
+          M.bigint(),
+        ).returns(M.promise()),
+      }),
       invitationMakers: InvitationMakerI,
     },
     /**
      * @param {AccountTapState} initialState
-     * @returns {AccountTapState}
+     * @returns {AccountKitState}
      */
     (initialState) => {
-      mustMatch(initialState, AccountKitStateShape);
+      mustMatch(initialState, AccountTapStateShape);
       return harden({
+        latestMessage: /** @type {InboundResponse | undefined} */ (undefined),
+        nonce: 0n,
+        messages: zone.detached().mapStore('messages'),
+        pendingNonces: zone.detached().setStore('pendingNonces'),
+        responseCount: 0n,
+        withdrawable: zone.detached().mapStore('withdrawable'),
+        dydxAccount: /** @type {RemoteAccount | undefined} */ (undefined),
+        awaitingResponse: zone.detached().mapStore('awaitingResponse'),
+        recentSends: /** @type {LimitedSend[]} */ (harden([])),
+        delegations: zone.detached().mapStore('delegations'),
+        delegationCount: 0n,
         ...initialState,
       });
     },
     {
+      tap: {
+        /**
+         * Handles transfer events of the LCA.
+         *
+         * Acknowledgements and timeouts of our own packets record the packet
+         * sequence on the outbound message named by the memo's nonce. Axelar
+         * GMP responses delivered to the LCA are decoded and recorded; any
+         * other inbound transfer, such as a plain deposit or tokens whose GMP
+         * payload is not a response, is ignored.
+         *
+         * @param {VTransferIBCEvent} event
+         */
+        receiveUpcall(event) {
+          trace('receiveUpcall', event);
+          migrateState(this.state);
+
+          const tx = /** @type {FungibleTokenPacketData} */ (
+            JSON.parse(atob(event.packet.data))
+          );
+          trace('receiveUpcall packet data', tx);
+
+          if (
+            event.event === 'acknowledgementPacket' ||
+            event.event === 'timeoutPacket'
+          ) {
+            const nonce = parseOutgoingNonce(tx.memo);
+            if (nonce !== undefined && this.state.messages.has(nonce)) {
+              this.facets.helper.updateMessage(nonce, {
+                sequence: BigInt(event.packet.sequence),
+                sourceChannel: event.packet.source_channel,
+              });
+            }
+            return;
+          }
+
+          const memo = parseIncomingMemo(tx.memo);
+          if (!memo) {
+            trace('receiveUpcall: not an Axelar GMP message');
+            return;
+          }
+
+          /** @type {ReturnType<typeof decodeAgoricResponse>} */
+          let response;
+          try {
+            response = decodeAgoricResponse(memo.payload);
+          } catch (err) {
+            // such as tokens sent from an EVM chain, whose payload is empty
+            trace('receiveUpcall: payload is not an Agoric response', err);
+            return;
+          }
+          const { isContractCallResult, data } = response;
+          trace(
+            'receiveUpcall decoded:',
+            JSON.stringify({ isContractCallResult, data }),
+          );
+
+          this.facets.helper.recordResponse({
+            sourceChain: memo.source_chain,
+            sourceAddress: memo.source_address,
+            isContractCallResult,
+            data,
+          });
+          void log({
+            kind: QstnEventKind.RESPONSE_RECEIVED,
+            account: this.state.localChainAddress.value,
+            detail: {
+              sourceChain: memo.source_chain,
+              sourceAddress: memo.source_address,
+            },
+          });
+        },
+      },
+      helper: {
+        /**
+         * Publishes the account summary at `accounts.<lcaAddress>`. Outbound
+         * messages are published below it at `messages.<nonce>` and inbound
+         * responses at `responses.<n>`.
+         */
+        publishStatus() {
+          const {
+            localChainAddress,
+            nonce,
+            pendingNonces,
+            responseCount,
+            withdrawable,
+            delegations,
+          } = this.state;
+          const channels = [...remoteChannels.entries()].map(
+            ([chainName, { remoteChainInfo, channelId, localDenom }]) => [
+              chainName,
+              { chainId: remoteChainInfo.chainId, channelId, localDenom },
+            ],
+          );
+          void publish(makeAccountNode(localChainAddress.value), {
+            lcaAddress: localChainAddress.value,
+            remoteChannels: fromEntries(channels),
+            nonce,
+            pendingMessages: [...pendingNonces.keys()],
+            responseCount,
+            withdrawable: [...withdrawable.values()],
+            ...(delegations && { delegations: [...delegations.values()] }),
+          });
+        },
+        /** @param {OutboundMessage} message */
+        recordMessage(message) {
+          const { messages, pendingNonces } = this.state;
+          messages.init(message.nonce, harden(message));
+          if (message.status === 'pending') {
+            pendingNonces.add(message.nonce);
+          }
+          this.facets.helper.publishStatus();
+          void publish(
+            makeAccountNode(
+              this.state.localChainAddress.value,
+              'messages',
+              String(message.nonce),
+            ),
+            message,
+          );
+        },
+        /**
+         * @param {bigint} nonce
+         * @param {Partial<OutboundMessage>} updates
+         */
+        updateMessage(nonce, updates) {
+          const { messages, pendingNonces } = this.state;
+          const message = harden({ ...messages.get(nonce), ...updates });
+          messages.set(nonce, message);
+          if (message.status !== 'pending' && pendingNonces.has(nonce)) {
+            pendingNonces.delete(nonce);
+          }
+          this.facets.helper.publishStatus();
+          void publish(
+            makeAccountNode(
+              this.state.localChainAddress.value,
+              'messages',
+              String(nonce),
+            ),
+            message,
+          );
+        },
+        /**
+         * Funds of a failed transfer are returned to the LCA by the IBC
+         * transfer module. Credit them to the holder's withdrawable balance
+         * and note the refund on the message. Sponsored gas goes back to the
+         * gas pool instead.
+         *
+         * @param {bigint} nonce of the failed message
+         */
+        creditRefund(nonce) {
+          const { messages, withdrawable } = this.state;
+          const message = messages.get(nonce);
+          if (message.sponsoredGas) {
+            void gasPool.reclaim(
+              this.state.localChainAddress.value,
+              this.state.localAccount,
+              message.sponsoredGas,
+            );
+          }
+          const amount = message.gas
+            ? AmountMath.add(message.amount, message.gas)
+            : message.amount;
+          const { brand } = amount;
+          if (withdrawable.has(brand)) {
+            withdrawable.set(
+              brand,
+              AmountMath.add(withdrawable.get(brand), amount),
+            );
+          } else {
+            withdrawable.init(brand, amount);
+          }
+          this.facets.helper.updateMessage(nonce, { refund: amount });
+          void log({
+            kind: QstnEventKind.REFUND_CREDITED,
+            account: this.state.localChainAddress.value,
+            messageId: nonce,
+            detail: { amount },
+          });
+        },
+        /**
+         * The owner this account is indexed under, which its invitations to
+         * make and find sibling accounts act for.
+         */
+        getOwner() {
+          const address = this.state.localChainAddress.value;
+          return (
+            accountIndex.getOwner(address) ??
+            Fail`${q(address)} was made before accounts had owners`
+          );
+        },
+        /**
+         * The USDC of a subaccount message has landed in the holder's dYdX
+         * account; move it into the subaccount.
+         *
+         * @param {bigint} nonce of the message
+         */
+        depositToSubaccount(nonce) {
+          const { account, address } = NonNullish(this.state.dydxAccount);
+          const { amount, subaccount } = this.state.messages.get(nonce);
+          const { owner, number } = NonNullish(subaccount);
+          const msg = encodeMsgDepositToSubaccount({
+            sender: address.value,
+            recipient: { owner, number },
+            quantums: amount.value,
+          });
+          vowTools.watch(
+            account.executeEncodedTx([msg]),
+            this.facets.depositWatcher,
+            nonce,
+          );
+        },
+        /**
+         * Queues a contract call to be matched with the next response from
+         * the contract it called. Responses carry no nonce, so a contract's
+         * responses are matched to its calls in the order they were sent.
+         *
+         * @param {bigint} nonce of the message
+         */
+        awaitResponse(nonce) {
+          const { awaitingResponse, messages } = this.state;
+          const { destinationChain, destinationAddress } = messages.get(nonce);
+          const key = responseKey(destinationChain, destinationAddress);
+          if (awaitingResponse.has(key)) {
+            awaitingResponse.set(
+              key,
+              harden([...awaitingResponse.get(key), nonce]),
+            );
+          } else {
+            awaitingResponse.init(key, harden([nonce]));
+          }
+        },
+        /**
+         * A call whose transfer failed never reaches its contract, so no
+         * response will come for it.
+         *
+         * @param {bigint} nonce of the message
+         */
+        stopAwaitingResponse(nonce) {
+          const { awaitingResponse, messages } = this.state;
+          const { destinationChain, destinationAddress } = messages.get(nonce);
+          const key = responseKey(destinationChain, destinationAddress);
+          if (!awaitingResponse.has(key)) return;
+          const rest = awaitingResponse.get(key).filter((n) => n !== nonce);
+          if (rest.length) {
+            awaitingResponse.set(key, harden(rest));
+          } else {
+            awaitingResponse.delete(key);
+          }
+        },
+        /**
+         * Attaches the call results of a response to the oldest call
+         * awaiting one from its source, split back out by the messages that
+         * call merged.
+         *
+         * @param {InboundResponse} response
+         * @returns {bigint | undefined} nonce of the matched message
+         */
+        matchResponse(response) {
+          const { awaitingResponse, messages } = this.state;
+          const key = responseKey(response.sourceChain, response.sourceAddress);
+          if (awaitingResponse.has(key)) {
+            const [nonce, ...rest] = awaitingResponse.get(key);
+            if (rest.length) {
+              awaitingResponse.set(key, harden(rest));
+            } else {
+              awaitingResponse.delete(key);
+            }
+            const { callCounts } = messages.get(nonce);
+            const results = callCounts
+              ? splitCallResults(response.data, callCounts)
+              : [response.data];
+            if (results) {
+              this.facets.helper.updateMessage(nonce, { results });
+            } else {
+              trace('response does not match the calls of', nonce);
+            }
+            return nonce;
+          }
+          return undefined;
+        },
+        /** @param {InboundResponse} response */
+        recordResponse(response) {
+          const messageId = this.facets.helper.matchResponse(response);
+          const recorded = harden(
+            messageId === undefined ? response : { ...response, messageId },
+          );
+
+          const index = this.state.responseCount;
+          this.state.latestMessage = recorded;
+          this.state.responseCount = index + 1n;
+          this.facets.helper.publishStatus();
+          void publish(
+            makeAccountNode(
+              this.state.localChainAddress.value,
+              'responses',
+              String(index),
+            ),
+            recorded,
+          );
+        },
+      },
       transferWatcher: {
         /**
-         * @param {void} _result
-         * @param {bigint} value the qty of uatom to delegate
+         * The transfer was acknowledged by the remote chain.
+         *
+         * @param {unknown} _result
+         * @param {bigint} nonce of the outbound message
          */
-        onFulfilled(_result, value) {
-          trace('onFulfilled _result:', JSON.stringify(_result));
-          trace('onFulfilled value:', JSON.stringify(value));
-          trace('onFulfilled state:', JSON.stringify(this.state));
+        onFulfilled(_result, nonce) {
+          trace('transfer completed', nonce);
+          if (this.state.messages.get(nonce).subaccount) {
+            this.facets.helper.depositToSubaccount(nonce);
+            return;
+          }
+          this.facets.helper.updateMessage(nonce, { status: 'completed' });
+          void log({
+            kind: QstnEventKind.MESSAGE_COMPLETED,
+            account: this.state.localChainAddress.value,
+            messageId: nonce,
+          });
+        },
+        /**
+         * The transfer failed, either on an error acknowledgement or a
+         * timeout. Either way the funds are back in the LCA, so they are
+         * refunded to the holder.
+         *
+         * @param {Error} reason
+         * @param {bigint} nonce of the outbound message
+         */
+        onRejected(reason, nonce) {
+          trace('transfer failed', nonce, reason);
+          const timedOut = /timeout/i.test(reason.message);
+          this.facets.helper.updateMessage(nonce, {
+            status: timedOut ? 'timeout' : 'failed',
+            error: reason.message,
+          });
+          void log({
+            kind: timedOut
+              ? QstnEventKind.MESSAGE_TIMED_OUT
+              : QstnEventKind.MESSAGE_FAILED,
+            account: this.state.localChainAddress.value,
+            messageId: nonce,
+            detail: { error: reason.message },
+          });
+          this.facets.helper.stopAwaitingResponse(nonce);
+          this.facets.helper.creditRefund(nonce);
+        },
+      },
+      depositWatcher: {
+        /**
+         * The subaccount was credited.
+         *
+         * @param {unknown} _result
+         * @param {bigint} nonce of the outbound message
+         */
+        onFulfilled(_result, nonce) {
+          const { subaccount } = this.state.messages.get(nonce);
+          this.facets.helper.updateMessage(nonce, {
+            status: 'completed',
+            subaccount: { ...NonNullish(subaccount), status: 'completed' },
+          });
+          void log({
+            kind: QstnEventKind.SUBACCOUNT_DEPOSITED,
+            account: this.state.localChainAddress.value,
+            messageId: nonce,
+          });
+        },
+        /**
+         * The deposit transaction failed on dYdX. The USDC stays in the
+         * holder's dYdX account rather than coming back to the LCA, so
+         * nothing is refunded.
+         *
+         * @param {Error} reason
+         * @param {bigint} nonce of the outbound message
+         */
+        onRejected(reason, nonce) {
+          trace('subaccount deposit failed', nonce, reason);
+          const { subaccount } = this.state.messages.get(nonce);
+          this.facets.helper.updateMessage(nonce, {
+            status: 'failed',
+            error: reason.message,
+            subaccount: {
+              ...NonNullish(subaccount),
+              status: 'failed',
+              error: reason.message,
+            },
+          });
+          void log({
+            kind: QstnEventKind.SUBACCOUNT_DEPOSIT_FAILED,
+            account: this.state.localChainAddress.value,
+            messageId: nonce,
+            detail: { error: reason.message },
+          });
         },
       },
       holder: {
+        /**
+         * @returns {bigint} The nonce of the most recent outbound message, or
+         *   0n if none has been sent yet.
+         */
+        getNonce() {
+          migrateState(this.state);
+          return this.state.nonce;
+        },
         getLocalAddress() {
           return this.state.localAccount.getAddress().value;
         },
+        /**
+         * @returns {InboundResponse | undefined} The most recent response
+         *   received from an EVM chain.
+         */
+        getLatestMessage() {
+          return this.state.latestMessage;
+        },
         /**
          * Sends tokens from the local account to a specified Cosmos chain
          * address.
@@ -103,23 +1054,241 @@ export const prepareAccountKit = (zone, { zcf, vowTools, log, zoeTools }) => {
         },
 
         /**
+         * Sends each message with its own amount. The messages must use up
+         * exactly what the offer gave, so a batch can mix a funded message
+         * with calls that only carry their gas.
+         *
+         * Every message is assigned the next per-account nonce, which is
+         * carried in its memo so that duplicated or out-of-order deliveries
+         * can be detected downstream. A contract call also carries it at the
+         * end of its payload, for the contract it calls; see `appendNonce`.
+         *
+         * Transfers are started without waiting for them to settle; the
+         * outcome of each is recorded on its message in vstorage, along with
+         * the IBC timeout it was sent with: the message's `timeoutSeconds`,
+         * else the offer's, else the contract default.
+         *
+         * With `batch`, contract calls to the same destination are merged
+         * into one GMP message; see `planSends`. Merged messages share a
+         * nonce, and the results of the response are split back out by
+         * message.
+         *
+         * Axelar gas comes out of each paying message's amount, unless the
+         * offer gives it as `Gas`; then it is sent on top.
+         *
+         * When the creator has set a service fee, the offer also gives it as
+         * `Fee`. It is charged once the LCA is funded, and any excess is
+         * returned.
+         *
          * @param {ZCFSeat} seat
          * @param {{
          *  messages: CrossChainContractMessage[]
-         *  gasAmount: number;
-         * }} offerArgs
+         *  gasAmount?: number;
+         *  timeoutSeconds?: bigint;
+         *  batch?: boolean;
+         * }} offerArgs checked against `SendTransactionsOfferArgsShape`
+         * @returns {Promise<{ nonces: bigint[] }>} the nonce of each message,
+         *   in order
          */
         async sendTransactions(seat, offerArgs) {
-          void log('Inside sendTransactions');
+          assertSendTransactionsOfferArgs(offerArgs);
+          migrateState(this.state);
           const { messages, gasAmount } = offerArgs;
+          assertSendsNotPaused(messages);
+          assertTargetsAllowed(messages);
+          const offerTimeoutSeconds =
+            offerArgs.timeoutSeconds ??
+            /** @type {bigint} */ (settings.get('defaultTimeoutSeconds'));
+          const account = this.state.localChainAddress.value;
 
-          trace('Offer Args:', JSON.stringify(offerArgs));
+          trace('Offer Args:', offerArgs);
+          void log({
+            kind: QstnEventKind.TRANSACTIONS_RECEIVED,
+            account,
+            detail: { count: messages.length },
+          });
 
-          for (const message of messages) {
-            message.destinationChain != null ||
-              Fail`Destination chain must be defined for message ${message}`;
-            message.destinationAddress != null ||
-              Fail`Destination address must be defined for message ${message}`;
+          const { give } = seat.getProposal();
+          const amounts = allocateMessageAmounts(messages, give);
+          // everything that can reject a message is checked here, before any
+          // funds move
+          const denoms = amounts.map(
+            (amt) =>
+              NonNullish(
+                this.state.assets.find((a) => a.brand === amt.brand),
+                `${amt.brand} not registered in vbank`,
+              ).denom,
+          );
+          // settle each EVM message's route now, as the default may change
+          // while the funds move
+          const routes = messages.map((message, index) => {
+            const { chainType } = message;
+            if (chainType === ActiveChainType.COSMOS) {
+              checkCosmosMessage(message, amounts[index]);
+              return undefined;
+            }
+            chainType === ActiveChainType.EVM ||
+              Fail`Unsupported chain type ${q(chainType)}`;
+            return checkGmpRoute(
+              message.route ??
+                /** @type {string} */ (settings.get('defaultGmpRoute')),
+              denoms[index],
+            );
+          });
+          const sends = planSends(
+            messages,
+            amounts,
+            routes,
+            offerArgs.batch ?? false,
+          );
+          const serviceFee = settings.has('serviceFee')
+            ? computeServiceFee(
+                /** @type {QstnServiceFee} */ (settings.get('serviceFee')),
+                amounts,
+              )
+            : undefined;
+          const charged = serviceFee && serviceFee.value > 0n;
+          if (charged) {
+            const given = give[FEE_KEYWORD];
+            (given?.brand === serviceFee.brand &&
+              AmountMath.isGTE(given, serviceFee)) ||
+              Fail`the offer must give a service fee of ${q(serviceFee)} as ${q(FEE_KEYWORD)}`;
+          }
+          // Axelar takes gas from the tokens of the transfer, so gas given as
+          // `Gas` is sent on top of each paying message's amount
+          const gas = /** @type {Amount<'nat'> | undefined} */ (
+            give[GAS_KEYWORD]
+          );
+          const gasPerTransfer = BigInt(gasAmount ?? 0);
+          const payingSends = sends.filter((send) =>
+            paysAxelarGas(send.message),
+          );
+          // without `Gas`, the pool pays the gas of the sends it covers for as
+          // long as the account's quota and the pool last; Axelar takes the
+          // gas of the rest from their amounts
+          const sponsorBrand = gas ? undefined : gasPool.getBrand();
+          let sponsoredTotal = 0n;
+          const sponsoredSends = payingSends.filter(({ message, amount }) => {
+            if (amount.brand !== sponsorBrand) return false;
+            const total = sponsoredTotal + gasPerTransfer;
+            if (!gasPool.canSponsor(account, NonNullish(message.type), total)) {
+              return false;
+            }
+            sponsoredTotal = total;
+            return true;
+          });
+          if (gas) {
+            const { denom: gasDenom } = NonNullish(
+              this.state.assets.find((a) => a.brand === gas.brand),
+              `${gas.brand} not registered in vbank`,
+            );
+            /** @type {string[]} */ (settings.get('gasDenoms')).includes(
+              gasDenom,
+            ) || Fail`Axelar does not accept ${q(gasDenom)} for gas`;
+            payingSends.length > 0 ||
+              Fail`the offer gives ${q(GAS_KEYWORD)} but no message pays Axelar gas`;
+            for (const { amount } of payingSends) {
+              amount.brand === gas.brand ||
+                Fail`messages that pay gas must send the brand of ${q(GAS_KEYWORD)}, not ${q(amount.brand)}`;
+            }
+            const needed = gasPerTransfer * BigInt(payingSends.length);
+            gas.value === needed ||
+              Fail`${q(GAS_KEYWORD)} must be gasAmount for each of the ${q(payingSends.length)} transfers that pay gas: ${q(needed)}`;
+          } else {
+            for (const send of payingSends) {
+              if (sponsoredSends.includes(send)) continue;
+              const { amount } = send;
+              amount.value >= gasPerTransfer ||
+                Fail`a message sends ${q(amount)}, less than the gas of ${q(gasPerTransfer)} that Axelar takes from it`;
+            }
+          }
+          const limits = accountLimits.has(account)
+            ? accountLimits.get(account)
+            : /** @type {QstnAccountLimits} */ (settings.get('defaultLimits'));
+          const now = await E(timerService).getCurrentTimestamp();
+          // counted as soon as they pass, so that concurrent offers cannot
+          // both spend the same allowance, and taken back if the offer fails
+          // before its transfers start
+          this.state.recentSends = checkLimits(
+            limits,
+            this.state.recentSends,
+            now.absValue,
+            amounts,
+          );
+          const { [FEE_KEYWORD]: _fee, ...toSend } = give;
+          /** @type {Amount<'nat'> | undefined} */
+          let sponsoredGas;
+          try {
+            if (
+              !this.state.dydxAccount &&
+              messages.some((m) => m.subaccountNumber !== undefined)
+            ) {
+              this.state.dydxAccount = await vowTools.when(
+                makeRemoteAccount(COSMOS_CHAINS.Dydx, account),
+              );
+            }
+            if (sponsoredSends.length > 0) {
+              sponsoredGas = await vowTools.when(
+                gasPool.sponsor(
+                  account,
+                  this.state.localAccount,
+                  sponsoredTotal,
+                ),
+              );
+            }
+            await vowTools.when(
+              this.facets.holder.fundLCA(seat, harden(toSend)),
+            );
+          } catch (err) {
+            this.state.recentSends = uncountSends(
+              this.state.recentSends,
+              now.absValue,
+              amounts,
+            );
+            // localTransfer has returned the offer's funds to its seat, but
+            // the sponsored gas is already in the LCA
+            if (sponsoredGas) {
+              void gasPool.reclaim(
+                account,
+                this.state.localAccount,
+                sponsoredGas,
+              );
+            }
+            throw err;
+          }
+          if (charged) {
+            const [feeKeyword] = NonNullish(
+              entries(zcf.getTerms().brands).find(
+                ([_k, brand]) => brand === serviceFee.brand,
+              ),
+            );
+            zcf.atomicRearrange(
+              harden([
+                [
+                  seat,
+                  feeSeat,
+                  { [FEE_KEYWORD]: serviceFee },
+                  { [feeKeyword]: serviceFee },
+                ],
+              ]),
+            );
+            void log({
+              kind: QstnEventKind.SERVICE_FEE_CHARGED,
+              account,
+              detail: { fee: serviceFee },
+            });
+          }
+
+          /** @type {bigint[]} */
+          const nonces = [];
+          for (const send of sends) {
+            const {
+              message,
+              amount: amt,
+              route: plannedRoute,
+              indexes,
+              callCounts,
+            } = send;
             const {
               destinationChain,
               destinationAddress,
@@ -128,95 +1297,181 @@ export const prepareAccountKit = (zone, { zcf, vowTools, log, zoeTools }) => {
               payload,
             } = message;
 
-            const { give } = seat.getProposal();
-            const [[_kw, amt]] = entries(give);
-            amt.value > 0n ||
-              Fail`IBC transfer amount must be greater than zero`;
-            trace('_kw, amt', _kw, amt);
-            trace(`targets: [${destinationAddress}]`);
+            const timeoutSeconds =
+              message.timeoutSeconds ?? offerTimeoutSeconds;
+            const timeoutTimestamp =
+              (now.absValue + timeoutSeconds) * NANOSECONDS_PER_SECOND;
+            const nonce = this.state.nonce + 1n;
+            this.state.nonce = nonce;
+            for (const index of indexes) {
+              nonces[index] = nonce;
+            }
+            trace(`targets: [${destinationAddress}], nonce: ${nonce}`);
+            const gasValue =
+              gas && paysAxelarGas(message) ? gasPerTransfer : 0n;
+            const sponsoredValue = sponsoredSends.includes(send)
+              ? gasPerTransfer
+              : 0n;
 
-            const { denom } = NonNullish(
-              this.state.assets.find((a) => a.brand === amt.brand),
-              `${amt.brand} not registered in vbank`,
-            );
+            // merged messages share a brand
+            const denom = denoms[indexes[0]];
             trace('amt and brand', amt.brand);
 
-            if (chainType === 'evm') {
-              const remoteChannel = this.state.axelarRemoteChannel;
-
-              const { chainId } = remoteChannel.remoteChainInfo;
-
+            /** @type {CosmosChainAddress} */
+            let destination;
+            /** @type {string} */
+            let memo;
+            /** @type {AxelarFeeObject | undefined} */
+            let fee;
+            /** @type {SubaccountDeposit | undefined} */
+            let subaccount;
+            /** @type {string | undefined} */
+            let route;
+            if (chainType === ActiveChainType.EVM) {
               /** @type {AxelarGmpOutgoingMemo} */
-              const memo = {
+              const gmpMemo = {
                 destination_chain: destinationChain,
                 destination_address: destinationAddress,
-                payload: Array.from(payload),
+                payload: paysAxelarGas(message)
+                  ? appendNonce(Array.from(payload), nonce)
+                  : Array.from(payload),
                 type,
+                nonce: String(nonce),
               };
 
               if (type === 1 || type == 2) {
-                memo.fee = {
+                fee = {
                   amount: String(gasAmount),
                   recipient: gmpAddresses.AXELAR_GAS,
                 };
-                void log(`Fee object ${JSON.stringify(memo.fee)}`);
-                trace(`Fee object ${JSON.stringify(memo.fee)}`);
+                gmpMemo.fee = fee;
+                trace(`Fee object ${JSON.stringify(fee)}`);
               }
 
-              void log(`Initiating IBC Transfer...`);
-              void log(`DENOM of token:${denom}`);
-              trace('Initiating IBC Transfer...');
-              await this.state.localAccount.transfer(
-                {
+              route = NonNullish(plannedRoute);
+              if (route === DIRECT_GMP_ROUTE) {
+                const remoteChannel = getRemoteChannel(COSMOS_CHAINS.Axelar);
+                destination = {
                   value: gmpAddresses.AXELAR_GMP,
                   encoding: 'bech32',
-                  chainId,
-                },
-                {
-                  denom,
-                  value: amt.value,
-                },
-                { memo: JSON.stringify(memo) },
-              );
-            } else if (COSMOS_CHAINS.includes(chainType)) {
-              const remoteChain = COSMOS_CHAINS[destinationChain];
-
-              let remoteChannel;
-
-              if (remoteChain == 'Osmosis') {
-                remoteChannel = this.state.osmosisRemoteChannel;
-              } else if (remoteChain == 'Dydx') {
-                remoteChannel = this.state.dydxRemoteChannel;
+                  chainId: remoteChannel.remoteChainInfo.chainId,
+                };
+                memo = JSON.stringify(gmpMemo);
               } else {
-                Fail`Unsupported Cosmos chain: ${remoteChain}`;
+                // the hop's packet forward middleware sends the tokens on to
+                // Axelar, with the GMP memo as the memo of that transfer
+                const hop = getGmpRoute(route);
+                destination = {
+                  value: PFM_RECEIVER,
+                  encoding: 'bech32',
+                  chainId: hop.chainId,
+                };
+                memo = JSON.stringify({
+                  ...buildForwardMemo({
+                    receiver: gmpAddresses.AXELAR_GMP,
+                    port: hop.portId,
+                    channel: hop.channelId,
+                    next: gmpMemo,
+                  }),
+                  nonce: String(nonce),
+                });
               }
+            } else {
+              const remoteChannel = getRemoteChannel(
+                toCosmosChainName(destinationChain),
+              );
 
               const { chainId } = remoteChannel.remoteChainInfo;
 
-              void log(`Initiating IBC Transfer to ${remoteChain}...`);
-              trace(`Initiating IBC Transfer to ${remoteChain}...`);
-
-              //todo: construct payload for cosmos chains
-              const memo = JSON.stringify(payload);
-
-              await this.state.localAccount.transfer(
-                {
-                  value: `agoric1${destinationAddress}`,
+              if (message.swap) {
+                // IBC hooks only run the memo when the swap contract receives
+                // the transfer; it forwards the output to destinationAddress
+                destination = {
+                  value: gmpAddresses.OSMOSIS_RECEIVER,
                   encoding: 'bech32',
                   chainId,
-                },
-                {
-                  denom: remoteChannel.localDenom,
-                  value: amt.value,
-                },
-                { memo },
-              );
+                };
+                memo = JSON.stringify(
+                  buildOsmosisSwapMemo({
+                    ...message.swap,
+                    receiver: destinationAddress,
+                    nextMemo: /** @type {Record<string, unknown>} */ (payload),
+                    nonce,
+                  }),
+                );
+              } else if (message.subaccountNumber !== undefined) {
+                // the holder's dYdX account receives the USDC, then deposits
+                // it into the subaccount once the transfer has landed
+                const { address } = NonNullish(this.state.dydxAccount);
+                destination = address;
+                memo = JSON.stringify({ nonce: String(nonce) });
+                subaccount = {
+                  owner: destinationAddress,
+                  number: message.subaccountNumber,
+                  status: 'pending',
+                  depositor: address.value,
+                };
+              } else {
+                destination = {
+                  value: destinationAddress,
+                  encoding: 'bech32',
+                  chainId,
+                };
+                memo = JSON.stringify({ ...payload, nonce: String(nonce) });
+              }
+            }
+
+            const { helper } = this.facets;
+            helper.recordMessage({
+              nonce,
+              chainType,
+              destinationChain,
+              destinationAddress,
+              type,
+              amount: amt,
+              ...(gasValue > 0n && {
+                gas: AmountMath.make(amt.brand, gasValue),
+              }),
+              ...(sponsoredValue > 0n && {
+                sponsoredGas: AmountMath.make(amt.brand, sponsoredValue),
+              }),
+              status: 'pending',
+              timeoutSeconds,
+              timeoutTimestamp,
+              ...(subaccount && { subaccount }),
+              ...(route && { route }),
+              ...(callCounts && { callCounts }),
+            });
+            if (paysAxelarGas(message)) {
+              helper.awaitResponse(nonce);
             }
+
+            void log({
+              kind: QstnEventKind.TRANSFER_INITIATED,
+              account,
+              messageId: nonce,
+              detail: {
+                chainId: destination.chainId,
+                denom,
+                value: amt.value,
+                timeoutSeconds,
+                ...(fee && { fee }),
+              },
+            });
+            trace('Initiating IBC Transfer...');
+            vowTools.watch(
+              this.state.localAccount.transfer(
+                destination,
+                { denom, value: amt.value + gasValue + sponsoredValue },
+                { memo, timeoutTimestamp },
+              ),
+              this.facets.transferWatcher,
+              nonce,
+            );
           }
 
           seat.exit();
-          void log('sendTransactions successful');
-          return 'sendTransactions successful';
+          return harden({ nonces });
         },
         /**
          * @param {ZCFSeat} seat
@@ -226,51 +1481,524 @@ export const prepareAccountKit = (zone, { zcf, vowTools, log, zoeTools }) => {
           seat.hasExited() && Fail`The seat cannot be exited.`;
           return zoeTools.localTransfer(seat, this.state.localAccount, give);
         },
+        /**
+         * Pays funds held by the LCA out to the seat, such as leftovers,
+         * refunds or tokens that arrived from Axelar. The amounts wanted of
+         * each brand, across keywords, must be covered by the LCA's balance
+         * of the brand's denom.
+         *
+         * @param {ZCFSeat} seat
+         * @param {AmountKeywordRecord} want
+         */
+        async withdraw(seat, want) {
+          migrateState(this.state);
+          const { assets, localAccount, withdrawable } = this.state;
+          const wanted = Object.values(want);
+          wanted.length > 0 || Fail`Withdraw must want at least one amount`;
+
+          /** @type {Map<Brand, Amount<'nat'>>} */
+          const totals = new Map();
+          for (const amt of wanted) {
+            const total = totals.get(amt.brand);
+            totals.set(amt.brand, total ? AmountMath.add(total, amt) : amt);
+          }
+          for (const total of totals.values()) {
+            const { denom } = NonNullish(
+              assets.find((a) => a.brand === total.brand),
+              `${total.brand} not registered in vbank`,
+            );
+            const balance = await vowTools.when(localAccount.getBalance(denom));
+            balance.value >= total.value ||
+              Fail`Cannot withdraw ${q(total.value)} ${q(denom)}; LCA holds only ${q(balance.value)}`;
+          }
+
+          await vowTools.when(
+            zoeTools.withdrawToSeat(localAccount, seat, want),
+          );
+
+          for (const amt of wanted) {
+            if (!withdrawable.has(amt.brand)) continue;
+            const credited = withdrawable.get(amt.brand);
+            if (AmountMath.isGTE(amt, credited)) {
+              withdrawable.delete(amt.brand);
+            } else {
+              withdrawable.set(amt.brand, AmountMath.subtract(credited, amt));
+            }
+          }
+          this.facets.helper.publishStatus();
+          void log({
+            kind: QstnEventKind.WITHDRAWN,
+            account: this.state.localChainAddress.value,
+            detail: { amounts: wanted },
+          });
+
+          seat.exit();
+          return 'withdraw successful';
+        },
+      },
+      delegated: {
+        /**
+         * Sends an operator's offer from this account, if a delegation to
+         * the operator allows it. The operator's offer funds the messages,
+         * and refunds of failed transfers are credited to this account.
+         *
+         * @param {ZCFSeat} seat of the operator's offer
+         * @param {unknown} offerArgs
+         * @param {string} operator LCA address of the operator's account
+         * @param {bigint} id of the delegation
+         */
+        async sendTransactions(seat, offerArgs, operator, id) {
+          migrateState(this.state);
+          const account = this.state.localChainAddress.value;
+          const { delegations } = this.state;
+          const delegation =
+            (delegations.has(id) && delegations.get(id)) ||
+            Fail`${q(account)} has no delegation ${q(id)}`;
+          delegation.operator === operator ||
+            Fail`delegation ${q(id)} is not to ${q(operator)}`;
+          assertSendTransactionsOfferArgs(offerArgs);
+          const { messages } = offerArgs;
+          const { give } = seat.getProposal();
+          const amounts = allocateMessageAmounts(messages, give);
+          assertInScope(delegation, messages, amounts);
+          const gas = /** @type {Amount<'nat'> | undefined} */ (
+            give[GAS_KEYWORD]
+          );
+          const sent = gas ? harden([...amounts, gas]) : amounts;
+          const now = await E(timerService).getCurrentTimestamp();
+          now.absValue < delegation.expiresAt ||
+            Fail`delegation ${q(id)} expired at ${q(delegation.expiresAt)}`;
+          delegations.has(id) || Fail`delegation ${q(id)} was revoked`;
+          // counted now, so that concurrent offers cannot both spend the same
+          // allowance, and taken back if the offer's funds never leave it
+          const current = delegations.get(id);
+          delegations.set(
+            id,
+            harden({
+              ...current,
+              spent: countSpending(current, current.spent ?? [], sent),
+            }),
+          );
+          this.facets.helper.publishStatus();
+          void log({
+            kind: QstnEventKind.DELEGATED_SEND,
+            account,
+            detail: { operator, delegationId: id },
+          });
+          try {
+            return await this.facets.holder.sendTransactions(seat, offerArgs);
+          } catch (err) {
+            if (delegations.has(id)) {
+              const latest = delegations.get(id);
+              delegations.set(
+                id,
+                harden({
+                  ...latest,
+                  spent: uncountSpending(NonNullish(latest.spent), sent),
+                }),
+              );
+              this.facets.helper.publishStatus();
+            }
+            throw err;
+          }
+        },
       },
       invitationMakers: {
-        // "method" and "args" can be used to invoke methods of localAccount obj
-        makeTransactionInvitation(method, args) {
-          const continuingTransactionHandler = async (seat) => {
-            await null;
-            const { holder } = this.facets;
-            switch (method) {
-              case 'sendTransactions': {
-                const { give } = seat.getProposal();
-                await vowTools.when(holder.fundLCA(seat, give));
-                return holder.sendTransactions(seat, args[0]);
-              }
-              case 'getLocalAddress': {
-                const vow = holder.getLocalAddress();
-                return vowTools.when(vow, (res) => {
-                  seat.exit();
-                  return res;
-                });
-              }
-              case 'send': {
-                const vow = holder.send(args[0], args[1]);
-                return vowTools.when(vow, (res) => {
-                  seat.exit();
-                  return res;
-                });
-              }
-              case 'fundLCA': {
-                const { give } = seat.getProposal();
-                const vow = holder.fundLCA(seat, give);
-                return vowTools.when(vow, (res) => {
-                  seat.exit();
-                  return res;
-                });
-              }
-              default:
-                return 'Invalid method';
+        /**
+         * Sends `offerArgs.messages`, funded by the offer's `give`.
+         */
+        SendTransactions() {
+          /** @type {OfferHandler} */
+          const handler = (seat, offerArgs) =>
+            this.facets.holder.sendTransactions(seat, offerArgs);
+          return zcf.makeInvitation(
+            handler,
+            'sendTransactions',
+            undefined,
+            GiveProposalShape,
+          );
+        },
+        /**
+         * Moves the offer's `give` into the LCA.
+         */
+        Fund() {
+          /** @type {OfferHandler} */
+          const handler = (seat) => {
+            const { give } = seat.getProposal();
+            const vow = this.facets.holder.fundLCA(seat, give);
+            return vowTools.when(vow, (res) => {
+              seat.exit();
+              return res;
+            });
+          };
+          return zcf.makeInvitation(
+            handler,
+            'fund',
+            undefined,
+            GiveProposalShape,
+          );
+        },
+        /**
+         * Sends tokens from the LCA to a Cosmos address.
+         *
+         * @param {CosmosChainAddress} toAccount
+         * @param {AmountArg} amount
+         */
+        Send(toAccount, amount) {
+          /** @type {OfferHandler} */
+          const handler = (seat) => {
+            const vow = this.facets.holder.send(toAccount, amount);
+            return vowTools.when(vow, (res) => {
+              seat.exit();
+              return res;
+            });
+          };
+          return zcf.makeInvitation(
+            handler,
+            'send',
+            undefined,
+            EmptyProposalShape,
+          );
+        },
+        /**
+         * Pays the offer's `want` out of the LCA.
+         */
+        Withdraw() {
+          /** @type {OfferHandler} */
+          const handler = (seat) => {
+            const { want } = seat.getProposal();
+            return this.facets.holder.withdraw(seat, want);
+          };
+          return zcf.makeInvitation(
+            handler,
+            'withdraw',
+            undefined,
+            WantProposalShape,
+          );
+        },
+        GetLocalAddress() {
+          /** @type {OfferHandler} */
+          const handler = (seat) => {
+            seat.exit();
+            return this.facets.holder.getLocalAddress();
+          };
+          return zcf.makeInvitation(
+            handler,
+            'getLocalAddress',
+            undefined,
+            EmptyProposalShape,
+          );
+        },
+        GetLatestMessage() {
+          /** @type {OfferHandler} */
+          const handler = (seat) => {
+            seat.exit();
+            return this.facets.holder.getLatestMessage();
+          };
+          return zcf.makeInvitation(
+            handler,
+            'getLatestMessage',
+            undefined,
+            EmptyProposalShape,
+          );
+        },
+        GetNonce() {
+          /** @type {OfferHandler} */
+          const handler = (seat) => {
+            seat.exit();
+            return this.facets.holder.getNonce();
+          };
+          return zcf.makeInvitation(
+            handler,
+            'getNonce',
+            undefined,
+            EmptyProposalShape,
+          );
+        },
+        /**
+         * Makes another account for this account's owner, labeled by
+         * `offerArgs.label`.
+         */
+        MakeAccount() {
+          const owner = this.facets.helper.getOwner();
+          /** @type {OfferHandler} */
+          const handler = (seat, offerArgs = harden({})) =>
+            makeAccount(seat, offerArgs, owner);
+          return zcf.makeInvitation(handler, 'makeAccount', undefined);
+        },
+        /**
+         * Continues with the account of the same owner labeled `label`: the
+         * offer's result holds its invitation makers.
+         *
+         * @param {string} label
+         */
+        GetAccount(label) {
+          const owner = this.facets.helper.getOwner();
+          const invitationMakers = accountIndex.lookup(owner, label);
+          /** @type {OfferHandler} */
+          const handler = (seat) => {
+            seat.exit();
+            return harden({ invitationMakers });
+          };
+          return zcf.makeInvitation(
+            handler,
+            'getAccount',
+            undefined,
+            EmptyProposalShape,
+          );
+        },
+        /**
+         * Lists the labels and addresses of the owner's accounts.
+         */
+        ListAccounts() {
+          const owner = this.facets.helper.getOwner();
+          /** @type {OfferHandler} */
+          const handler = (seat) => {
+            seat.exit();
+            return accountIndex.list(owner);
+          };
+          return zcf.makeInvitation(
+            handler,
+            'listAccounts',
+            undefined,
+            EmptyProposalShape,
+          );
+        },
+        /**
+         * Lets the holder of the account at `operator` send from this one,
+         * within `scope`, until it expires or is revoked. The offer's result
+         * is the delegation's id, which the operator sends with.
+         *
+         * @param {string} operator LCA address of the operator's account
+         * @param {QstnDelegationScope} scope
+         */
+        Delegate(operator, scope) {
+          /** @type {OfferHandler} */
+          const handler = async (seat) => {
+            migrateState(this.state);
+            const now = await E(timerService).getCurrentTimestamp();
+            scope.expiresAt > now.absValue ||
+              Fail`expiresAt ${q(scope.expiresAt)} has passed`;
+            const account = this.state.localChainAddress.value;
+            const id = this.state.delegationCount + 1n;
+            this.state.delegationCount = id;
+            this.state.delegations.init(id, harden({ ...scope, id, operator }));
+            if (!delegators.has(account)) {
+              delegators.init(account, this.facets.delegated);
             }
+            this.facets.helper.publishStatus();
+            void log({
+              kind: QstnEventKind.DELEGATION_GRANTED,
+              account,
+              detail: { ...scope, id, operator },
+            });
+            seat.exit();
+            return id;
           };
-
           return zcf.makeInvitation(
-            continuingTransactionHandler,
-            'transaction',
+            handler,
+            'delegate',
+            undefined,
+            EmptyProposalShape,
           );
         },
+        ListDelegations() {
+          /** @type {OfferHandler} */
+          const handler = (seat) => {
+            migrateState(this.state);
+            seat.exit();
+            return harden([...this.state.delegations.values()]);
+          };
+          return zcf.makeInvitation(
+            handler,
+            'listDelegations',
+            undefined,
+            EmptyProposalShape,
+          );
+        },
+        /**
+         * Ends a delegation. Offers the operator has already sent are not
+         * affected.
+         *
+         * @param {bigint} id
+         */
+        RevokeDelegation(id) {
+          /** @type {OfferHandler} */
+          const handler = (seat) => {
+            migrateState(this.state);
+            const { delegations } = this.state;
+            delegations.has(id) || Fail`no delegation ${q(id)}`;
+            delegations.delete(id);
+            this.facets.helper.publishStatus();
+            void log({
+              kind: QstnEventKind.DELEGATION_REVOKED,
+              account: this.state.localChainAddress.value,
+              detail: { id },
+            });
+            seat.exit();
+            return id;
+          };
+          return zcf.makeInvitation(
+            handler,
+            'revokeDelegation',
+            undefined,
+            EmptyProposalShape,
+          );
+        },
+        /**
+         * Sends `offerArgs.messages` from the account at `holder`, under a
+         * delegation that it made to this account. The offer's `give` funds
+         * them, as for `SendTransactions`.
+         *
+         * @param {string} holder LCA address of the delegating account
+         * @param {bigint} delegationId
+         */
+        SendTransactionsFor(holder, delegationId) {
+          const operator = this.state.localChainAddress.value;
+          const delegated = delegators.has(holder)
+            ? delegators.get(holder)
+            : Fail`${q(holder)} has made no delegations`;
+          /** @type {OfferHandler} */
+          const handler = (seat, offerArgs) =>
+            delegated.sendTransactions(seat, offerArgs, operator, delegationId);
+          return zcf.makeInvitation(
+            handler,
+            'sendTransactionsFor',
+            undefined,
+            GiveProposalShape,
+          );
+        },
+      },
+    },
+    {
+      stateShape: AccountKitStateShape,
+      finish({ facets }) {
+        facets.helper.publishStatus();
+      },
+    },
+  );
+  prepareLegacyAccountKit(zone, makeAccountKit, zcf);
+  return makeAccountKit;
+};
+
+/**
+ * Defines again the kind of the account kits made by the first release, so
+ * that those accounts keep working after an upgrade.
+ *
+ * That release gave the kind no stateShape, and a kind without one cannot
+ * gain one, so its records never get the fields added since. Instead each
+ * legacy kit makes, on first use, a kit of the current kind from the same
+ * state, and its facets call that one's.
+ *
+ * @param {Zone} zone the zone of the first release's kits
+ * @param {MakeAccountKit} makeAccountKit
+ * @param {ZCF} zcf
+ */
+const prepareLegacyAccountKit = (zone, makeAccountKit, zcf) => {
+  /**
+   * The kit each legacy kit hands its work to, by the legacy kit's holder.
+   *
+   * @type {MapStore<unknown, AccountKit>}
+   */
+  const successors = zone.mapStore('successors');
+
+  /**
+   * Methods that call the method of the same name on a facet of the
+   * successor.
+   *
+   * @param {InterfaceGuard} iface
+   * @param {'holder' | 'invitationMakers'} facetName
+   */
+  const forwardTo = (iface, facetName) =>
+    fromEntries(
+      keys(getInterfaceGuardPayload(iface).methodGuards).map((name) => [
+        name,
+        /** @this {any} */
+        function (...args) {
+          return this.facets.helper.successor()[facetName][name](...args);
+        },
+      ]),
+    );
+
+  zone.exoClassKit(
+    'AccountKit',
+    {
+      transferWatcher: M.interface('TransferWatcher', {
+        onFulfilled: M.call(M.undefined()).optional(M.bigint()).returns(),
+      }),
+      holder: ACCOUNTI,
+      invitationMakers: M.interface('invitationMakers', {
+        ...getInterfaceGuardPayload(InvitationMakerI).methodGuards,
+        makeTransactionInvitation: M.call(M.string(), M.array()).returns(
+          M.promise(),
+        ),
+      }),
+      helper: M.interface('helper', {
+        successor: M.call().returns(M.record()),
+      }),
+    },
+    /** @returns {AccountTapState} */
+    () => Fail`accounts are no longer made of the first release's kind`,
+    {
+      transferWatcher: {
+        // the first release only traced the transfers that funded the LCA
+        onFulfilled() {},
+      },
+      holder: forwardTo(ACCOUNTI, 'holder'),
+      invitationMakers: {
+        ...forwardTo(InvitationMakerI, 'invitationMakers'),
+        /**
+         * The maker of the first release, for wallets that still hold
+         * continuing invitations to it. Each method goes to the typed maker
+         * that replaced it.
+         *
+         * @param {string} method
+         * @param {unknown[]} args for `'sendTransactions'`, the offerArgs
+         */
+        makeTransactionInvitation(method, args) {
+          const { holder, invitationMakers } = this.facets.helper.successor();
+          switch (method) {
+            case 'sendTransactions': {
+              /** @type {OfferHandler} */
+              const handler = (seat) => holder.sendTransactions(seat, args[0]);
+              return zcf.makeInvitation(
+                handler,
+                'sendTransactions',
+                undefined,
+                GiveProposalShape,
+              );
+            }
+            case 'getLocalAddress':
+              return invitationMakers.GetLocalAddress();
+            case 'send':
+              return invitationMakers.Send(args[0], args[1]);
+            case 'fundLCA':
+              return invitationMakers.Fund();
+            default:
+              throw Fail`Unknown method ${q(method)}`;
+          }
+        },
+      },
+      helper: {
+        /**
+         * The kit of the current kind that does this one's work, made the
+         * first time it is needed. Its tap takes over the LCA's transfers.
+         *
+         * @returns {AccountKit}
+         */
+        successor() {
+          const { holder } = this.facets;
+          if (!successors.has(holder)) {
+            const { localAccount, localChainId, localChainAddress, assets } =
+              this.state;
+            const kit = makeAccountKit(
+              harden({ localAccount, localChainId, localChainAddress, assets }),
+            );
+            void localAccount.monitorTransfers(kit.tap);
+            successors.init(holder, kit);
+          }
+          return successors.get(holder);
+        },
       },
     },
   );
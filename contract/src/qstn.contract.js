@@ -1,23 +1,53 @@
 import { M } from '@endo/patterns';
 import { E } from '@endo/far';
-import { prepareChainHubAdmin } from '@agoric/orchestration/src/exos/chain-hub-admin.js';
+import { Fail, q } from '@endo/errors';
+import { VowShape } from '@agoric/vow';
+import { EmptyProposalShape } from '@agoric/zoe/src/typeGuards.js';
+import { heapVowE } from '@agoric/vow/vat.js';
+import {
+  ChainInfoShape,
+  DenomDetailShape,
+} from '@agoric/orchestration/src/typeGuards.js';
 import { withOrchestration } from '@agoric/orchestration/src/utils/start-helper.js';
 import { registerChainsAndAssets } from '@agoric/orchestration/src/utils/chain-hub-helper.js';
 import * as crossChainFlow from './qstn.flows.js';
 import { prepareAccountKit } from './qstn-account-kit.js';
+import { prepareGasPool } from './gas-pool.js';
+import { prepareAccountIndex } from './account-index.js';
 import { makeTracer } from '@agoric/internal';
+import { COSMOS_CHAINS } from '../utils/chains.js';
+import { QstnEventKind } from '../utils/events.js';
+import { DIRECT_GMP_ROUTE } from '../utils/gmp.js';
+import {
+  AccountLimitsShape,
+  ChainNameShape,
+  ServiceFeeShape,
+  TargetShape,
+  TimeoutSecondsShape,
+  assertMakeAccountOfferArgs,
+} from '../utils/type-guards.js';
+import { normalizeTarget } from '../utils/targets.js';
 
 /**
  * @import {Remote, Vow} from '@agoric/vow';
  * @import {Zone} from '@agoric/zone';
  * @import {OrchestrationPowers, OrchestrationTools} from '@agoric/orchestration/src/utils/start-helper.js';
- * @import {CosmosChainInfo, Denom, DenomDetail} from '@agoric/orchestration';
+ * @import {CosmosChainInfo, Denom, DenomDetail, IBCConnectionInfo} from '@agoric/orchestration';
  * @import {Marshaller, StorageNode} from '@agoric/internal/src/lib-chainStorage.js';
- * @import {ZCF} from '@agoric/zoe';
+ * @import {ZCF, ZCFSeat} from '@agoric/zoe';
+ * @import {OfferHandler} from '@agoric/zoe/src/zoeService/types.js';
+ * @import {MapStore} from '@agoric/store';
+ * @import {GmpRouteInfo, RemoteChannelInfo} from '../utils/types.js';
+ * @import {AccountKit} from './qstn-account-kit.js';
+ * @import {MakeAccountOfferArgs, QstnAccountLimits, QstnEvent, QstnLimits, QstnPauseState, QstnServiceFee, QstnSettings, QstnTarget, QstnTargetLists} from '../types.js';
+ * @import {ERef} from '@endo/far';
  */
 
 const trace = makeTracer('AxelarGmp');
 
+/** Same as the orchestration default for transfers: five minutes. */
+const DEFAULT_TIMEOUT_SECONDS = 5n * 60n;
+
 /**
  * Orchestration contract to be wrapped by withOrchestration for Zoe
  *
@@ -39,62 +69,720 @@ export const contract = async (
 ) => {
   trace('Inside Contract');
 
-  registerChainsAndAssets(
-    chainHub,
-    zcf.getTerms().brands,
-    privateArgs.chainInfo,
-    privateArgs.assetInfo,
-  );
-
-  const creatorFacet = prepareChainHubAdmin(zone, chainHub);
+  // The chainHub is durable, so after an upgrade it already holds these, and
+  // any registered since through the creatorFacet.
+  if (chainHub.isEmpty()) {
+    registerChainsAndAssets(
+      chainHub,
+      zcf.getTerms().brands,
+      privateArgs.chainInfo,
+      privateArgs.assetInfo,
+    );
+  }
 
   // UNTIL https://github.com/Agoric/agoric-sdk/issues/9066
-  const logNode = E(privateArgs.storageNode).makeChildNode('log');
-  /** @type {(msg: string) => Vow<void>} */
-  const log = (msg) => vowTools.watch(E(logNode).setValue(msg));
+  const logNode = E(privateArgs.storageNode).makeChildNode('log', {
+    sequence: true,
+  });
+  /** @type {MapStore<'nextId', bigint>} */
+  const logState = zone.mapStore('logState');
+  if (!logState.has('nextId')) {
+    logState.init('nextId', 0n);
+  }
+  /**
+   * Appends an event to the `log` node. Each event gets the next id and the
+   * current chain time, so readers can put the history back in order.
+   *
+   * @type {(event: QstnEvent) => Vow<void>}
+   */
+  const log = (event) => {
+    const id = logState.get('nextId');
+    logState.set('nextId', id + 1n);
+    return vowTools.watch(
+      E.when(E(privateArgs.timerService).getCurrentTimestamp(), (timestamp) =>
+        E.when(
+          E(privateArgs.marshaller).toCapData(
+            harden({ id, timestamp, ...event }),
+          ),
+          (capData) => E(logNode).setValue(JSON.stringify(capData)),
+        ),
+      ),
+    );
+  };
 
-  const { makeRemoteChannel: makeAxelarRemoteChannel } = orchestrateAll(
+  /**
+   * Remote channels to Cosmos chains, keyed by chainHub chain name. Accounts
+   * look channels up here at send time, so a chain registered after an
+   * account was created is still reachable from it.
+   *
+   * @type {MapStore<string, RemoteChannelInfo>}
+   */
+  const remoteChannels = zone.mapStore('remoteChannels');
+
+  const { makeRemoteChannel } = orchestrateAll(
     { makeRemoteChannel: crossChainFlow.makeRemoteChannel },
     {
-      chainName: 'Axelar',
       chainHub,
       log,
     },
   );
 
-  const { makeRemoteChannel: makeOsmosisRemoteChannel } = orchestrateAll(
-    { makeRemoteChannel: crossChainFlow.makeRemoteChannel },
+  const remoteChannelWatcher = zone.exo(
+    'RemoteChannelWatcher',
+    M.interface('RemoteChannelWatcher', {
+      onFulfilled: M.call(M.record(), M.string()).returns(),
+    }),
     {
-      chainName: 'Osmosis',
-      chainHub,
-      log,
+      /**
+       * @param {RemoteChannelInfo} remoteChannel
+       * @param {string} chainName
+       */
+      onFulfilled(remoteChannel, chainName) {
+        if (remoteChannels.has(chainName)) {
+          remoteChannels.set(chainName, remoteChannel);
+        } else {
+          remoteChannels.init(chainName, remoteChannel);
+        }
+        void log({
+          kind: QstnEventKind.REMOTE_CHANNEL_REGISTERED,
+          detail: { chainName, channelId: remoteChannel.channelId },
+        });
+      },
     },
   );
 
-  const { makeRemoteChannel: makeDydxRemoteChannel } = orchestrateAll(
-    { makeRemoteChannel: crossChainFlow.makeRemoteChannel },
+  /** @param {string} chainName */
+  const registerRemoteChannel = (chainName) =>
+    vowTools.watch(
+      makeRemoteChannel(chainName),
+      remoteChannelWatcher,
+      chainName,
+    );
+
+  /**
+   * Hops that GMP transfers can be forwarded through on their way to Axelar,
+   * keyed by the hop's chainHub name.
+   *
+   * @type {MapStore<string, GmpRouteInfo>}
+   */
+  const gmpRoutes = zone.mapStore('gmpRoutes');
+
+  /** @type {MapStore<keyof QstnSettings, QstnSettings[keyof QstnSettings]>} */
+  const settings = zone.mapStore('settings');
+  if (!settings.has('defaultGmpRoute')) {
+    settings.init('defaultGmpRoute', DIRECT_GMP_ROUTE);
+  }
+  if (!settings.has('defaultTimeoutSeconds')) {
+    settings.init('defaultTimeoutSeconds', DEFAULT_TIMEOUT_SECONDS);
+  }
+  if (!settings.has('allowlistEnforced')) {
+    settings.init('allowlistEnforced', false);
+  }
+  if (!settings.has('gasDenoms')) {
+    // AXL pays gas on any chain; other denoms depend on Axelar's gas service
+    const { AXL } = zcf.getTerms().brands;
+    const axlDenom = AXL && chainHub.getDenom(AXL);
+    settings.init('gasDenoms', harden(axlDenom ? [axlDenom] : []));
+  }
+  if (!settings.has('defaultLimits')) {
+    settings.init('defaultLimits', harden({}));
+  }
+  if (!settings.has('serviceFee')) {
+    // nothing is charged until the creator sets a fee, but a zero fee is
+    // published all the same, so readers need not guess what no fee means;
+    // without USDC, there is no brand to state it in until the creator picks
+    const { USDC } = zcf.getTerms().brands;
+    if (USDC) {
+      settings.init(
+        'serviceFee',
+        harden({ brand: USDC, flat: 0n, basisPoints: 0n }),
+      );
+    }
+  }
+
+  /**
+   * @param {ERef<StorageNode>} node
+   * @param {unknown} value
+   */
+  const publish = (node, value) =>
+    vowTools.watch(
+      E.when(E(privateArgs.marshaller).toCapData(harden(value)), (capData) =>
+        E(node).setValue(JSON.stringify(capData)),
+      ),
+    );
+
+  /**
+   * Reason for each pause in effect: of new accounts, or of all sends.
+   *
+   * @type {MapStore<'newAccounts' | 'sends', string>}
+   */
+  const pauses = zone.mapStore('pauses');
+  /**
+   * Reason sends are paused, keyed by destination chain: the EVM chain name,
+   * or the chainHub name of a Cosmos chain.
+   *
+   * @type {MapStore<string, string>}
+   */
+  const pausedChains = zone.mapStore('pausedChains');
+
+  const pausedNode = E(privateArgs.storageNode).makeChildNode('paused');
+  const publishPauses = () => {
+    /** @type {QstnPauseState} */
+    const state = {
+      ...(pauses.has('newAccounts') && {
+        newAccounts: pauses.get('newAccounts'),
+      }),
+      ...(pauses.has('sends') && { sends: pauses.get('sends') }),
+      chains: Object.fromEntries(pausedChains.entries()),
+    };
+    return publish(pausedNode, state);
+  };
+  void publishPauses();
+
+  /**
+   * Destinations that messages may go to, once the allowlist is enforced,
+   * by chain. See `QstnTargetLists`.
+   *
+   * @type {MapStore<string, string[]>}
+   */
+  const allowedTargets = zone.mapStore('allowedTargets');
+  /**
+   * Destinations that messages may never go to, by chain.
+   *
+   * @type {MapStore<string, string[]>}
+   */
+  const deniedTargets = zone.mapStore('deniedTargets');
+
+  const targetsNode = E(privateArgs.storageNode).makeChildNode('targets');
+  const publishTargets = () => {
+    /** @type {QstnTargetLists} */
+    const lists = {
+      allowlistEnforced: /** @type {boolean} */ (
+        settings.get('allowlistEnforced')
+      ),
+      allowed: Object.fromEntries(allowedTargets.entries()),
+      denied: Object.fromEntries(deniedTargets.entries()),
+    };
+    return publish(targetsNode, lists);
+  };
+  void publishTargets();
+
+  /**
+   * Adds targets to a list, or removes them from it.
+   *
+   * @param {'allowed' | 'denied'} listName
+   * @param {QstnTarget[]} targets
+   * @param {boolean} add
+   */
+  const updateTargets = (listName, targets, add) => {
+    const list = listName === 'allowed' ? allowedTargets : deniedTargets;
+    for (const target of targets) {
+      const { chain, address } = normalizeTarget(target);
+      const listed = list.has(chain) ? list.get(chain) : [];
+      const rest = listed.filter((a) => a !== address);
+      const addresses = harden(add ? [...rest, address].sort() : rest);
+      if (addresses.length === 0) {
+        if (list.has(chain)) list.delete(chain);
+      } else if (list.has(chain)) {
+        list.set(chain, addresses);
+      } else {
+        list.init(chain, addresses);
+      }
+    }
+    void publishTargets();
+    void log({
+      kind: QstnEventKind.TARGETS_UPDATED,
+      detail: { list: listName, change: add ? 'add' : 'remove', targets },
+    });
+  };
+
+  /**
+   * Limits of single accounts, by LCA address, which replace the defaults.
+   *
+   * @type {MapStore<string, QstnAccountLimits>}
+   */
+  const accountLimits = zone.mapStore('accountLimits');
+
+  const limitsNode = E(privateArgs.storageNode).makeChildNode('limits');
+  const publishLimits = () => {
+    /** @type {QstnLimits} */
+    const limits = {
+      defaultLimits: /** @type {QstnAccountLimits} */ (
+        settings.get('defaultLimits')
+      ),
+      accounts: Object.fromEntries(accountLimits.entries()),
+    };
+    return publish(limitsNode, limits);
+  };
+  void publishLimits();
+
+  /** @param {QstnAccountLimits} limits */
+  const assertLimits = ({ rate }) => {
+    !rate ||
+      Number.isSafeInteger(rate.maxMessages) ||
+      Fail`maxMessages must be an integer, not ${q(rate.maxMessages)}`;
+  };
+
+  /** Holds the service fees charged, until the creator collects them. */
+  const feeSeat = zone.makeOnce(
+    'feeSeat',
+    () => zcf.makeEmptySeatKit().zcfSeat,
+  );
+
+  const serviceFeeNode = E(privateArgs.storageNode).makeChildNode('serviceFee');
+  if (settings.has('serviceFee')) {
+    void publish(serviceFeeNode, settings.get('serviceFee'));
+  }
+
+  const gasPool = prepareGasPool(zone.subZone('gasPool'), {
+    zcf,
+    vowTools,
+    zoeTools,
+    log,
+    publish,
+    node: E(privateArgs.storageNode).makeChildNode('gasPool'),
+  });
+
+  const assertNewAccountsNotPaused = () => {
+    if (pauses.has('newAccounts')) {
+      Fail`New accounts are paused: ${q(pauses.get('newAccounts'))}`;
+    }
+  };
+
+  const accountIndex = prepareAccountIndex(zone.subZone('accountIndex'), {
+    publish,
+    node: E(privateArgs.storageNode).makeChildNode('owners'),
+  });
+
+  /**
+   * Handles an offer for a new account, whether a fresh `makeAccount` offer
+   * or a `MakeAccount` one of an account whose owner it shares.
+   *
+   * @param {ZCFSeat} seat
+   * @param {MakeAccountOfferArgs} offerArgs
+   * @param {string} [owner] of the account whose `MakeAccount` invitation
+   *   made the offer; a fresh offer's account is its own owner
+   */
+  const handleMakeAccount = (seat, offerArgs, owner) => {
+    assertNewAccountsNotPaused();
+    assertMakeAccountOfferArgs(offerArgs);
+    const { label } = offerArgs;
+    // reserved before the account is made, so that concurrent offers cannot
+    // both take the label
+    if (owner !== undefined && label !== undefined) {
+      accountIndex.reserve(owner, label);
+    }
+    // prepared below, before any offer can arrive
+    return createAndMonitorLCA(seat, offerArgs, owner);
+  };
+
+  const { makeGmpRoute } = orchestrateAll(
+    { makeGmpRoute: crossChainFlow.makeGmpRoute },
+    { chainHub },
+  );
+
+  const gmpRouteWatcher = zone.exo(
+    'GmpRouteWatcher',
+    M.interface('GmpRouteWatcher', {
+      onFulfilled: M.call(M.record(), M.string()).returns(),
+    }),
     {
-      chainName: 'Dydx',
-      chainHub,
-      log,
+      /**
+       * @param {GmpRouteInfo} route
+       * @param {string} via
+       */
+      onFulfilled(route, via) {
+        if (gmpRoutes.has(via)) {
+          gmpRoutes.set(via, route);
+        } else {
+          gmpRoutes.init(via, route);
+        }
+        void log({
+          kind: QstnEventKind.GMP_ROUTE_REGISTERED,
+          detail: { via, ...route },
+        });
+      },
     },
   );
 
-  const axelarRemoteChannel = zone.makeOnce('AxelarRemoteChannel', () =>
-    makeAxelarRemoteChannel(),
-  );
-  const osmosisRemoteChannel = zone.makeOnce('OsmosisRemoteChannel', () =>
-    makeOsmosisRemoteChannel(),
+  // the first release kept these channels under these keys, so an upgrade
+  // finds them open rather than opening them again
+  for (const [name, chainName] of Object.entries(COSMOS_CHAINS)) {
+    const channel = zone.makeOnce(`${name}RemoteChannel`, () =>
+      makeRemoteChannel(chainName),
+    );
+    if (!remoteChannels.has(chainName)) {
+      vowTools.watch(channel, remoteChannelWatcher, chainName);
+    }
+  }
+
+  // Zoe requires the creatorFacet to stay the same object across upgrades,
+  // so this is the chainHub admin of the first release, with more methods
+  const creatorFacet = zone.exo(
+    'ChainHub Admin',
+    M.interface('ChainHub Admin', {
+      registerChain: M.callWhen(M.string(), ChainInfoShape)
+        .optional(M.record())
+        .returns(M.undefined()),
+      registerAsset: M.call(M.string(), DenomDetailShape).returns(M.promise()),
+      registerRemoteChannel: M.call(M.string()).returns(VowShape),
+      registerGmpRoute: M.call(M.string()).returns(VowShape),
+      setDefaultGmpRoute: M.call(M.string()).returns(),
+      setDefaultTimeout: M.call(TimeoutSecondsShape).returns(),
+      pauseNewAccounts: M.call(M.string()).returns(),
+      unpauseNewAccounts: M.call().returns(),
+      pauseSends: M.call(M.string()).optional(ChainNameShape).returns(),
+      unpauseSends: M.call().optional(ChainNameShape).returns(),
+      allowTargets: M.call(M.arrayOf(TargetShape)).returns(),
+      disallowTargets: M.call(M.arrayOf(TargetShape)).returns(),
+      denyTargets: M.call(M.arrayOf(TargetShape)).returns(),
+      undenyTargets: M.call(M.arrayOf(TargetShape)).returns(),
+      setAllowlistEnforced: M.call(M.boolean()).returns(),
+      setServiceFee: M.call(ServiceFeeShape).returns(),
+      setGasDenoms: M.call(M.arrayOf(M.string())).returns(),
+      setDefaultLimits: M.call(AccountLimitsShape).returns(),
+      setAccountLimits: M.call(M.string(), AccountLimitsShape).returns(),
+      removeAccountLimits: M.call(M.string()).returns(),
+      makeCollectFeesInvitation: M.call().returns(M.promise()),
+      getGasPoolAdmin: M.call().returns(M.remotable('GasPoolAdmin')),
+    }),
+    {
+      /**
+       * @param {string} chainName must not exist in the chainHub
+       * @param {CosmosChainInfo} chainInfo
+       * @param {IBCConnectionInfo} [connectionInfo] from Agoric
+       */
+      async registerChain(chainName, chainInfo, connectionInfo) {
+        // when() because chainHub methods return vows
+        const agoricChainInfo = await heapVowE.when(
+          chainHub.getChainInfo('agoric'),
+        );
+        chainHub.registerChain(chainName, chainInfo);
+        if (connectionInfo) {
+          chainHub.registerConnection(
+            agoricChainInfo.chainId,
+            chainInfo.chainId,
+            connectionInfo,
+          );
+        }
+      },
+      /**
+       * @param {Denom} denom on the chain named in `detail.chainName`
+       * @param {DenomDetail} detail chainName and baseName must be registered
+       */
+      async registerAsset(denom, detail) {
+        await heapVowE.when(chainHub.getChainInfo('agoric'));
+        chainHub.registerAsset(denom, detail);
+      },
+      /**
+       * Opens a remote channel to a Cosmos chain so that accounts can send to
+       * it. The chain and its connection from Agoric must already be known to
+       * the chainHub, either from `privateArgs.chainInfo` or `registerChain`.
+       *
+       * @param {string} chainName chainHub name, e.g. 'noble'
+       */
+      registerRemoteChannel(chainName) {
+        return registerRemoteChannel(chainName);
+      },
+      /**
+       * Lets GMP transfers be forwarded to Axelar through another chain,
+       * for networks where Agoric has no direct channel to Axelar. The hop
+       * needs a remote channel and, in the chainHub, a connection to Axelar.
+       *
+       * @param {string} via chainHub name of the hop, e.g. 'osmosis'
+       */
+      registerGmpRoute(via) {
+        via !== DIRECT_GMP_ROUTE || Fail`${q(via)} is not a chain name`;
+        return vowTools.watch(makeGmpRoute(via), gmpRouteWatcher, via);
+      },
+      /**
+       * Sets the route of EVM messages that do not name one.
+       *
+       * @param {string} route `'direct'` or a registered hop
+       */
+      setDefaultGmpRoute(route) {
+        route === DIRECT_GMP_ROUTE ||
+          gmpRoutes.has(route) ||
+          Fail`No GMP route registered via ${q(route)}`;
+        settings.set('defaultGmpRoute', route);
+        void log({
+          kind: QstnEventKind.DEFAULT_GMP_ROUTE_SET,
+          detail: { route },
+        });
+      },
+      /**
+       * Sets the IBC timeout of transfers whose offer and message do not set
+       * one. Raise it when relayers are slow, such as during long Axelar
+       * queues on testnet.
+       *
+       * @param {bigint} seconds relative to when each transfer is sent
+       */
+      setDefaultTimeout(seconds) {
+        settings.set('defaultTimeoutSeconds', seconds);
+        void log({
+          kind: QstnEventKind.DEFAULT_TIMEOUT_SET,
+          detail: { seconds },
+        });
+      },
+      /**
+       * Stops new accounts from being made: both new `makeAccount`
+       * invitations and offers of ones already handed out. Existing accounts
+       * keep working.
+       *
+       * @param {string} reason given to rejected offers
+       */
+      pauseNewAccounts(reason) {
+        if (pauses.has('newAccounts')) {
+          pauses.set('newAccounts', reason);
+        } else {
+          pauses.init('newAccounts', reason);
+        }
+        void publishPauses();
+        void log({
+          kind: QstnEventKind.PAUSED,
+          detail: { scope: 'newAccounts', reason },
+        });
+      },
+      unpauseNewAccounts() {
+        if (!pauses.has('newAccounts')) return;
+        pauses.delete('newAccounts');
+        void publishPauses();
+        void log({
+          kind: QstnEventKind.UNPAUSED,
+          detail: { scope: 'newAccounts' },
+        });
+      },
+      /**
+       * Rejects `sendTransactions` offers, either all of them or those with
+       * a message to `destinationChain`. Messages already sent are not
+       * affected, and refunds can still be withdrawn.
+       *
+       * @param {string} reason given to rejected offers
+       * @param {string} [chain] named as messages name it; a Cosmos chain
+       *   is paused by its chainHub name
+       */
+      pauseSends(reason, chain) {
+        const destinationChain =
+          chain === undefined ? undefined : normalizeTarget({ chain }).chain;
+        if (destinationChain === undefined) {
+          if (pauses.has('sends')) {
+            pauses.set('sends', reason);
+          } else {
+            pauses.init('sends', reason);
+          }
+        } else if (pausedChains.has(destinationChain)) {
+          pausedChains.set(destinationChain, reason);
+        } else {
+          pausedChains.init(destinationChain, reason);
+        }
+        void publishPauses();
+        void log({
+          kind: QstnEventKind.PAUSED,
+          detail: { scope: 'sends', destinationChain, reason },
+        });
+      },
+      /**
+       * Lifts a pause set by `pauseSends`. Unpausing all sends leaves pauses
+       * of single chains in place.
+       *
+       * @param {string} [chain]
+       */
+      unpauseSends(chain) {
+        const destinationChain =
+          chain === undefined ? undefined : normalizeTarget({ chain }).chain;
+        if (destinationChain === undefined) {
+          if (!pauses.has('sends')) return;
+          pauses.delete('sends');
+        } else {
+          if (!pausedChains.has(destinationChain)) return;
+          pausedChains.delete(destinationChain);
+        }
+        void publishPauses();
+        void log({
+          kind: QstnEventKind.UNPAUSED,
+          detail: { scope: 'sends', destinationChain },
+        });
+      },
+      /**
+       * Adds targets to the allowlist, which only applies once enforced.
+       *
+       * @param {QstnTarget[]} targets without an address, the whole chain
+       */
+      allowTargets(targets) {
+        updateTargets('allowed', targets, true);
+      },
+      /** @param {QstnTarget[]} targets as they were allowed */
+      disallowTargets(targets) {
+        updateTargets('allowed', targets, false);
+      },
+      /**
+       * Adds targets to the denylist. It applies whether or not the
+       * allowlist is enforced, and wins over it.
+       *
+       * @param {QstnTarget[]} targets without an address, the whole chain
+       */
+      denyTargets(targets) {
+        updateTargets('denied', targets, true);
+      },
+      /** @param {QstnTarget[]} targets as they were denied */
+      undenyTargets(targets) {
+        updateTargets('denied', targets, false);
+      },
+      /**
+       * Once enforced, messages may only go to targets on the allowlist.
+       * Fill the allowlist first.
+       *
+       * @param {boolean} enforced
+       */
+      setAllowlistEnforced(enforced) {
+        settings.set('allowlistEnforced', enforced);
+        void publishTargets();
+        void log({
+          kind: QstnEventKind.ALLOWLIST_ENFORCED_SET,
+          detail: { enforced },
+        });
+      },
+      /**
+       * Sets the fee charged for each `sendTransactions` offer. Set `flat`
+       * and `basisPoints` to 0n to stop charging.
+       *
+       * @param {QstnServiceFee} fee in a brand of the contract's terms
+       */
+      setServiceFee(fee) {
+        Object.values(zcf.getTerms().brands).includes(fee.brand) ||
+          Fail`${q(fee.brand)} is not a brand of this contract`;
+        if (settings.has('serviceFee')) {
+          settings.set('serviceFee', fee);
+        } else {
+          settings.init('serviceFee', fee);
+        }
+        void publish(serviceFeeNode, fee);
+        void log({ kind: QstnEventKind.SERVICE_FEE_SET, detail: { ...fee } });
+      },
+      /**
+       * Sets the denoms, as known on Agoric, that offers may give as `Gas`.
+       * List only denoms that Axelar's gas service accepts.
+       *
+       * @param {string[]} denoms
+       */
+      setGasDenoms(denoms) {
+        settings.set('gasDenoms', denoms);
+        void log({ kind: QstnEventKind.GAS_DENOMS_SET, detail: { denoms } });
+      },
+      /**
+       * Sets the limits of every account that has none of its own. Pass
+       * `{}` to lift them.
+       *
+       * @param {QstnAccountLimits} limits
+       */
+      setDefaultLimits(limits) {
+        assertLimits(limits);
+        settings.set('defaultLimits', limits);
+        void publishLimits();
+        void log({
+          kind: QstnEventKind.ACCOUNT_LIMITS_SET,
+          detail: { ...limits },
+        });
+      },
+      /**
+       * Holds one account to its own limits instead of the defaults.
+       *
+       * @param {string} account LCA address
+       * @param {QstnAccountLimits} limits
+       */
+      setAccountLimits(account, limits) {
+        assertLimits(limits);
+        if (accountLimits.has(account)) {
+          accountLimits.set(account, limits);
+        } else {
+          accountLimits.init(account, limits);
+        }
+        void publishLimits();
+        void log({
+          kind: QstnEventKind.ACCOUNT_LIMITS_SET,
+          account,
+          detail: { ...limits },
+        });
+      },
+      /**
+       * Returns an account to the default limits.
+       *
+       * @param {string} account LCA address
+       */
+      removeAccountLimits(account) {
+        if (!accountLimits.has(account)) return;
+        accountLimits.delete(account);
+        void publishLimits();
+        void log({ kind: QstnEventKind.ACCOUNT_LIMITS_SET, account });
+      },
+      /**
+       * Makes an invitation that pays out every service fee charged so far.
+       */
+      makeCollectFeesInvitation() {
+        /** @type {OfferHandler} */
+        const handler = (seat) => {
+          const collected = feeSeat.getCurrentAllocation();
+          zcf.atomicRearrange(harden([[feeSeat, seat, collected]]));
+          seat.exit();
+          void log({
+            kind: QstnEventKind.SERVICE_FEES_COLLECTED,
+            detail: { collected },
+          });
+          return collected;
+        };
+        return zcf.makeInvitation(
+          handler,
+          'collectFees',
+          undefined,
+          EmptyProposalShape,
+        );
+      },
+      /**
+       * The gas pool's admin, for funding and draining the pool and choosing
+       * which sends it sponsors.
+       */
+      getGasPoolAdmin() {
+        return gasPool.admin;
+      },
+    },
   );
-  const dydxRemoteChannel = zone.makeOnce('DydxRemoteChannel', () =>
-    makeDydxRemoteChannel(),
+
+  const { makeRemoteAccount } = orchestrateAll(
+    { makeRemoteAccount: crossChainFlow.makeRemoteAccount },
+    { log },
   );
 
+  /**
+   * The facet through which operators send from each account that has made
+   * a delegation, by LCA address.
+   *
+   * @type {MapStore<string, AccountKit['delegated']>}
+   */
+  const delegators = zone.mapStore('delegators');
+
   const makeAccountKit = prepareAccountKit(zone.subZone('evmTap'), {
     zcf,
     vowTools,
     log,
     zoeTools,
+    remoteChannels,
+    gmpRoutes,
+    getIssuingChain: (denom) => chainHub.getAsset(denom, 'agoric')?.baseName,
+    settings,
+    pauses,
+    pausedChains,
+    allowedTargets,
+    deniedTargets,
+    feeSeat,
+    gasPool: gasPool.sponsor,
+    accountLimits,
+    accountIndex,
+    delegators,
+    makeAccount: handleMakeAccount,
+    timerService: privateArgs.timerService,
+    makeRemoteAccount,
+    accountsNode: E(privateArgs.storageNode).makeChildNode('accounts'),
+    marshaller: privateArgs.marshaller,
   });
 
   const { createAndMonitorLCA } = orchestrateAll(
@@ -103,9 +791,7 @@ export const contract = async (
       makeAccountKit,
       log,
       chainHub,
-      axelarRemoteChannel,
-      osmosisRemoteChannel,
-      dydxRemoteChannel,
+      accountIndex,
     },
   );
 
@@ -116,11 +802,11 @@ export const contract = async (
     }),
     {
       createAndMonitorLCA() {
-        return zcf.makeInvitation(
-          createAndMonitorLCA,
-          'makeAccount',
-          undefined,
-        );
+        assertNewAccountsNotPaused();
+        /** @type {OfferHandler} */
+        const handler = (seat, offerArgs = harden({})) =>
+          handleMakeAccount(seat, offerArgs);
+        return zcf.makeInvitation(handler, 'makeAccount', undefined);
       },
     },
   );
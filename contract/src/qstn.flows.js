@@ -11,82 +11,95 @@
 import { makeTracer } from '@agoric/internal';
 import { Fail } from '@endo/errors';
 import { denomHash } from '@agoric/orchestration';
-import { COSMOS_CHAINS } from '../utils/chains.js';
+import { QstnEventKind } from '../utils/events.js';
 
 /**
  * @import {GuestInterface, GuestOf} from '@agoric/async-flow';
  * @import {Orchestrator, OrchestrationFlow} from '@agoric/orchestration';
  * @import {MakeAccountKit} from './qstn-account-kit.js';
+ * @import {AccountIndex} from './account-index.js';
  * @import {ChainHub} from '@agoric/orchestration/src/exos/chain-hub.js';
  * @import {Vow} from '@agoric/vow';
  * @import {ZCFSeat} from '@agoric/zoe/src/zoeService/zoe.js';
- * @import {SupportedCosmosChains, SupportedEVMChains, RemoteChannelInfo} from '../utils/types.js';
+ * @import {GmpRouteInfo, RemoteChannelInfo} from '../utils/types.js';
+ * @import {MakeAccountOfferArgs, QstnEvent} from '../types.js';
  */
 
 const trace = makeTracer('CrossChainLCA');
 
 /**
+ * Makes an LCA for the offer, monitors its transfers, and adds it to its
+ * owner's account index.
+ *
  * @satisfies {OrchestrationFlow}
  * @param {Orchestrator} orch
  * @param {{
  *  makeAccountKit: MakeAccountKit;
  *  chainHub: GuestInterface<ChainHub>;
- *  log: GuestOf<(msg: string) => Vow<void>>;
- *  axelarRemoteChannel: Promise<RemoteChannelInfo>,
- *  osmosisRemoteChannel: Promise<RemoteChannelInfo>,
- *  dydxRemoteChannel: Promise<RemoteChannelInfo>,
+ *  log: GuestOf<(event: QstnEvent) => Vow<void>>;
+ *  accountIndex: GuestInterface<AccountIndex>;
  * }} ctx
  * @param {ZCFSeat} seat
+ * @param {MakeAccountOfferArgs} [offerArgs] checked by the offer handler
+ * @param {string} [owner] to index the account under; by default the new
+ *   account is its own owner
  */
 export const createAndMonitorLCA = async (
   orch,
-  {
-    makeAccountKit,
-    chainHub,
-    log,
-    axelarRemoteChannel,
-    osmosisRemoteChannel,
-    dydxRemoteChannel,
-  },
+  { makeAccountKit, chainHub, log, accountIndex },
   seat,
+  offerArgs = harden({}),
+  owner,
 ) => {
-  void log('Creating CrossChain LCA and monitoring transfers');
-
-  const [agoric] = await Promise.all([orch.getChain('agoric')]);
-
-  const localAccount = await agoric.makeAccount();
-  void log('localAccount created successfully');
-  const localChainAddress = await localAccount.getAddress();
-  trace('Local Chain Address:', localChainAddress);
-
-  const agoricChainId = (await agoric.getChainInfo()).chainId;
-
-  const assets = await agoric.getVBankAssetInfo();
-
-  const axelar = await axelarRemoteChannel;
-  const osmosis = await osmosisRemoteChannel;
-  const dydx = await dydxRemoteChannel;
-
-  const accountKit = makeAccountKit({
-    localAccount,
-    localChainId: agoricChainId,
-    localChainAddress,
-    assets,
-    axelarRemoteChannel: axelar,
-    osmosisRemoteChannel: osmosis,
-    dydxRemoteChannel: dydx,
-  });
-
-  void log('tap created successfully');
-  // XXX consider storing appRegistration, so we can .revoke() or .updateTargetApp()
-  // @ts-expect-error tap.receiveUpcall: 'Vow<void> | undefined' not assignable to 'Promise<any>'
-  await localAccount.monitorTransfers(accountKit.tap);
-  void log('Monitoring transfers setup successfully');
-
-  seat.exit();
-  // TODO: When used from the portfolio contract, expose the `holder` facet directly
-  // to bypass Zoe and walletFactory, since smart wallet constraints don't apply there.
-  return harden({ invitationMakers: accountKit.invitationMakers });
+  try {
+    const [agoric] = await Promise.all([orch.getChain('agoric')]);
+
+    const localAccount = await agoric.makeAccount();
+    const localChainAddress = await localAccount.getAddress();
+    trace('Local Chain Address:', localChainAddress);
+    void log({
+      kind: QstnEventKind.ACCOUNT_CREATED,
+      account: localChainAddress.value,
+    });
+
+    const agoricChainId = (await agoric.getChainInfo()).chainId;
+
+    const assets = await agoric.getVBankAssetInfo();
+
+    const accountKit = makeAccountKit({
+      localAccount,
+      localChainId: agoricChainId,
+      localChainAddress,
+      assets,
+    });
+
+    // XXX consider storing appRegistration, so we can .revoke() or .updateTargetApp()
+    // @ts-expect-error tap.receiveUpcall: 'Vow<void> | undefined' not assignable to 'Promise<any>'
+    await localAccount.monitorTransfers(accountKit.tap);
+    void log({
+      kind: QstnEventKind.MONITORING_STARTED,
+      account: localChainAddress.value,
+    });
+
+    const { label = localChainAddress.value } = offerArgs;
+    await accountIndex.add(
+      owner ?? localChainAddress.value,
+      label,
+      localChainAddress.value,
+      accountKit.invitationMakers,
+    );
+
+    seat.exit();
+    // TODO: When used from the portfolio contract, expose the `holder` facet directly
+    // to bypass Zoe and walletFactory, since smart wallet constraints don't apply there.
+    return harden({ invitationMakers: accountKit.invitationMakers });
+  } catch (err) {
+    // frees the label that the offer handler reserved
+    if (owner !== undefined && offerArgs.label !== undefined) {
+      await accountIndex.release(owner, offerArgs.label);
+    }
+    throw err;
+  }
 };
 harden(createAndMonitorLCA);
 
@@ -94,18 +107,16 @@ harden(createAndMonitorLCA);
  * @satisfies {OrchestrationFlow}
  * @param {Orchestrator} orch
  * @param {{
- *  chainName: SupportedCosmosChains;
  *  chainHub: GuestInterface<ChainHub>;
- *  log: GuestOf<(msg: string) => Vow<void>>;
+ *  log: GuestOf<(event: QstnEvent) => Vow<void>>;
  * }} ctx
+ * @param {string} chainName chainHub name of the remote chain
  * @returns {Promise<RemoteChannelInfo>}
  */
-export const makeRemoteChannel = async (orch, { chainName, chainHub, log }) => {
-  const chain = COSMOS_CHAINS[chainName];
-
+export const makeRemoteChannel = async (orch, { chainHub, log }, chainName) => {
   const [agoric, remoteChain] = await Promise.all([
     orch.getChain('agoric'),
-    orch.getChain(chain),
+    orch.getChain(chainName),
   ]);
 
   const { chainId, stakingTokens } = await remoteChain.getChainInfo();
@@ -113,9 +124,10 @@ export const makeRemoteChannel = async (orch, { chainName, chainHub, log }) => {
   const remoteDenom = stakingTokens[0].denom;
   remoteDenom || Fail`${chainId} does not have stakingTokens in config`;
 
-  void log(
-    `Creating remote channel to ${chainName} (${chain}) with denom ${remoteDenom}`,
-  );
+  void log({
+    kind: QstnEventKind.REMOTE_CHANNEL_CREATING,
+    detail: { chainName, chainId, remoteDenom },
+  });
 
   const agoricChainId = (await agoric.getChainInfo()).chainId;
 
@@ -141,3 +153,63 @@ export const makeRemoteChannel = async (orch, { chainName, chainHub, log }) => {
 };
 
 harden(makeRemoteChannel);
+
+/**
+ * Looks up the channel from a hop chain to Axelar, so that GMP transfers can
+ * be forwarded through the hop when Agoric has no direct path to Axelar.
+ *
+ * @satisfies {OrchestrationFlow}
+ * @param {Orchestrator} orch
+ * @param {{
+ *  chainHub: GuestInterface<ChainHub>;
+ * }} ctx
+ * @param {string} via chainHub name of the hop chain, e.g. 'osmosis'
+ * @returns {Promise<GmpRouteInfo>}
+ */
+export const makeGmpRoute = async (orch, { chainHub }, via) => {
+  const [hop, axelar] = await Promise.all([
+    orch.getChain(via),
+    orch.getChain('axelar'),
+  ]);
+  const { chainId } = await hop.getChainInfo();
+  const { chainId: axelarChainId } = await axelar.getChainInfo();
+
+  const { transferChannel } = await chainHub.getConnectionInfo(
+    chainId,
+    axelarChainId,
+  );
+  trace('GMP route via', via, transferChannel);
+
+  return harden({
+    chainId,
+    portId: transferChannel.portId,
+    channelId: transferChannel.channelId,
+  });
+};
+harden(makeGmpRoute);
+
+/**
+ * Makes an account on a remote Cosmos chain for an LCA holder, such as the
+ * dYdX account that credits subaccounts on their behalf.
+ *
+ * @satisfies {OrchestrationFlow}
+ * @param {Orchestrator} orch
+ * @param {{
+ *  log: GuestOf<(event: QstnEvent) => Vow<void>>;
+ * }} ctx
+ * @param {string} chainName chainHub name of the remote chain
+ * @param {string} owner LCA address of the holder, for the log
+ */
+export const makeRemoteAccount = async (orch, { log }, chainName, owner) => {
+  const remoteChain = await orch.getChain(chainName);
+  const account = await remoteChain.makeAccount();
+  const address = await account.getAddress();
+  trace('Remote Account:', chainName, address);
+  void log({
+    kind: QstnEventKind.REMOTE_ACCOUNT_CREATED,
+    account: owner,
+    detail: { chainName, address: address.value },
+  });
+  return harden({ account, address });
+};
+harden(makeRemoteAccount);
@@ -5,6 +5,9 @@ import type {
   Bech32Address,
 } from '@agoric/orchestration';
 import { IBCChannelID } from '@agoric/vats';
+import type { Amount, Brand } from '@agoric/ertp';
+import type { TimestampRecord } from '@agoric/time';
+import type { QstnEventKind } from './utils/events.js';
 
 export enum GMPMessageType {
   ContractCall = 1,
@@ -19,6 +22,23 @@ export type AxelarGmpIncomingMemo = {
   type: GMPMessageType;
 };
 
+export type CallResult = {
+  success: boolean;
+  result: `0x${string}`;
+};
+
+export type AgoricResponse = {
+  isContractCallResult: boolean;
+  data: CallResult[];
+};
+
+export type InboundResponse = AgoricResponse & {
+  sourceChain: string;
+  sourceAddress: string;
+  /** nonce of the outbound message this answers, if it was matched */
+  messageId?: bigint;
+};
+
 export type AxelarFeeObject = {
   amount: string;
   recipient: Bech32Address;
@@ -30,6 +50,211 @@ export type AxelarGmpOutgoingMemo = {
   payload: number[] | null;
   type: GMPMessageType;
   fee?: AxelarFeeObject;
+  /** per-account sequence number of the message, as a decimal string */
+  nonce?: string;
+};
+
+/**
+ * Slippage bound for an Osmosis swap: either a maximum percentage below the
+ * TWAP over a window, or a fixed minimum output.
+ */
+export type OsmosisSlippage =
+  | { twap: { slippagePercentage: number; windowSeconds: number } }
+  | { minOutputAmount: bigint };
+
+/** Swap requested by a Cosmos message bound for Osmosis. */
+export type OsmosisSwap = {
+  /** denom on Osmosis to swap the transferred tokens into */
+  outputDenom: Denom;
+  slippage: OsmosisSlippage;
+  /**
+   * Osmosis address that may recover the output if forwarding it to the
+   * receiver fails; without it, a failed delivery leaves the funds with
+   * the swap contract
+   */
+  recoveryAddress?: Bech32Address;
+};
+
+/** `msg` of the crosschain-swaps contract, as it appears in a wasm hook memo */
+export type OsmosisSwapMsg = {
+  osmosis_swap: {
+    output_denom: Denom;
+    slippage:
+      | { twap: { slippage_percentage: string; window_seconds: number } }
+      | { min_output_amount: string };
+    receiver: string;
+    on_failed_delivery: 'do_nothing' | { local_recovery_addr: Bech32Address };
+    next_memo?: Record<string, unknown>;
+  };
+};
+
+export type OsmosisSwapMemo = {
+  wasm: {
+    contract: Bech32Address;
+    msg: OsmosisSwapMsg;
+  };
+};
+
+export type DydxSubaccountId = {
+  /** dYdX address that owns the subaccount */
+  owner: string;
+  number: number;
+};
+
+/** Progress of crediting a dYdX subaccount once the transfer has landed */
+export type SubaccountDeposit = DydxSubaccountId & {
+  status: 'pending' | 'completed' | 'failed';
+  /** the holder's account on dYdX that the deposit is made from */
+  depositor: string;
+  error?: string;
+};
+
+/**
+ * What the creator has paused, published to the `paused` node. Each pause
+ * carries the reason that offers are rejected with.
+ */
+export type QstnPauseState = {
+  /** reason new accounts are paused, if they are */
+  newAccounts?: string;
+  /** reason all sends are paused, if they are */
+  sends?: string;
+  /** reason sends to each paused destination chain are paused */
+  chains: Record<string, string>;
+};
+
+/**
+ * A destination chain, or one address on it. Name an EVM chain as messages
+ * do, and a Cosmos chain by its chainHub name.
+ */
+export type QstnTarget = {
+  chain: string;
+  /** contract address on an EVM chain, or receiver on a Cosmos chain */
+  address?: string;
+};
+
+/**
+ * The creator's target lists, published to the `targets` node. Each maps a
+ * chain to its listed addresses, where `'*'` covers the whole chain.
+ */
+export type QstnTargetLists = {
+  /** whether messages must go to an allowed target */
+  allowlistEnforced: boolean;
+  allowed: Record<string, string[]>;
+  /** targets that messages may never go to */
+  denied: Record<string, string[]>;
+};
+
+/**
+ * Fee that the contract charges for each `sendTransactions` offer, published
+ * to the `serviceFee` node.
+ */
+export type QstnServiceFee = {
+  /** brand the fee is charged in */
+  brand: Brand<'nat'>;
+  /** charged for each message */
+  flat: bigint;
+  /** charged on the amount of each message sent in `brand` */
+  basisPoints: bigint;
+};
+
+/** Which sends the gas pool pays Axelar gas for, and how much of it. */
+export type GasSponsorship = {
+  /** brand the pool holds; only messages sent in it can be sponsored */
+  brand: Brand<'nat'>;
+  /** GMP types sponsored for every account */
+  types: GMPMessageType[];
+  /** gas each account may draw for `types` */
+  defaultQuota: bigint;
+};
+
+/** The gas pool, published to the `gasPool` node. */
+export type GasPoolStatus = Partial<GasSponsorship> & {
+  balance?: Amount<'nat'>;
+  /** gas that allowlisted accounts may draw, for any GMP type */
+  quotas: Record<string, bigint>;
+  /** gas each account has drawn */
+  usage: Record<string, bigint>;
+};
+
+/**
+ * Limits on what a single account may send, which contain the damage from a
+ * compromised wallet. Each limit is optional.
+ */
+export type QstnAccountLimits = {
+  /** largest amount a single message may send, one Amount per brand */
+  maxPerMessage?: Amount<'nat'>[];
+  /** most an account may send over any 24 hours, one Amount per brand */
+  dailyCap?: Amount<'nat'>[];
+  /** most messages an account may send over any `windowSeconds` */
+  rate?: { maxMessages: number; windowSeconds: bigint };
+};
+
+/** A message that counts against its account's limits */
+export type LimitedSend = {
+  /** when it was sent, in seconds */
+  at: bigint;
+  amount: Amount<'nat'>;
+};
+
+/**
+ * The creator's account limits, published to the `limits` node. An account
+ * with its own limits is held to those instead of the defaults.
+ */
+export type QstnLimits = {
+  defaultLimits: QstnAccountLimits;
+  /** limits of single accounts, by LCA address */
+  accounts: Record<string, QstnAccountLimits>;
+};
+
+/** Contract-wide settings that the creator can change */
+export type QstnSettings = {
+  /** route of EVM messages that do not name one */
+  defaultGmpRoute: string;
+  /** IBC timeout of transfers whose offer does not set one */
+  defaultTimeoutSeconds: bigint;
+  /** whether messages must go to a target on the allowlist */
+  allowlistEnforced: boolean;
+  /** absent until the creator sets one */
+  serviceFee?: QstnServiceFee;
+  /** denoms on Agoric that Axelar accepts for gas */
+  gasDenoms: string[];
+  /** limits of accounts that have none of their own */
+  defaultLimits: QstnAccountLimits;
+};
+
+/** offerArgs of a `makeAccount` offer, or of a `MakeAccount` one */
+export type MakeAccountOfferArgs = {
+  /** name of the account among its owner's; defaults to its LCA address */
+  label?: string;
+};
+
+/** The accounts of one owner, published to `owners.<owner>` */
+export type QstnAccountIndex = {
+  accounts: { label: string; address: string }[];
+};
+
+/** What a holder lets an operator send from their account */
+export type QstnDelegationScope = {
+  /** targets that messages may go to; without an address, the whole chain */
+  destinations: QstnTarget[];
+  /** GMP types that messages may have */
+  types: GMPMessageType[];
+  /**
+   * most the operator may send in all under the delegation, `Gas` included,
+   * one Amount per brand it may send
+   */
+  maxAmount: Amount<'nat'>[];
+  /** when the delegation lapses, in seconds, as the contract's timer tells */
+  expiresAt: bigint;
+};
+
+/** A holder's grant to an operator, listed by `ListDelegations` */
+export type QstnDelegation = QstnDelegationScope & {
+  id: bigint;
+  /** LCA address of the operator's own account */
+  operator: string;
+  /** what the operator has sent so far, one Amount per brand */
+  spent?: Amount<'nat'>[];
 };
 
 export type AccountTapState = {
@@ -37,9 +262,50 @@ export type AccountTapState = {
   localChainId: string;
   localChainAddress: ChainAddress;
   assets: any;
-  axelarRemoteChannel: RemoteChannelInfo;
-  osmosisRemoteChannel: RemoteChannelInfo;
-  dydxRemoteChannel: RemoteChannelInfo;
+};
+
+export type OutboundMessageStatus =
+  | 'pending'
+  | 'completed'
+  | 'failed'
+  | 'timeout';
+
+export type OutboundMessage = {
+  nonce: bigint;
+  chainType: string;
+  destinationChain: string;
+  destinationAddress: string;
+  type?: GMPMessageType;
+  amount: Amount<'nat'>;
+  /** Axelar gas escrowed under `Gas` and sent on top of `amount` */
+  gas?: Amount<'nat'>;
+  /** Axelar gas paid by the gas pool and sent on top of `amount` */
+  sponsoredGas?: Amount<'nat'>;
+  status: OutboundMessageStatus;
+  error?: string;
+  /** IBC packet sequence, known once the packet is acknowledged or times out */
+  sequence?: bigint;
+  sourceChannel?: string;
+  /** amount credited back to the holder after a failed transfer */
+  refund?: Amount<'nat'>;
+  /** relative IBC timeout the transfer was sent with */
+  timeoutSeconds: bigint;
+  /** when the transfer times out, in nanoseconds since the epoch */
+  timeoutTimestamp: bigint;
+  /** for EVM messages, `'direct'` or the chain forwarded through to Axelar */
+  route?: string;
+  /**
+   * when several messages were merged into this one, how many of its calls
+   * came from each, in order
+   */
+  callCounts?: number[];
+  /**
+   * results of the calls from the destination's response, one list per
+   * merged message, or a single list if none were merged
+   */
+  results?: CallResult[][];
+  /** for messages that credit a dYdX subaccount */
+  subaccount?: SubaccountDeposit;
 };
 
 export type ContractCall = {
@@ -60,3 +326,18 @@ export type OfferArgs = {
   gasAmount: number;
   contractInvocationData: ContractCall[];
 };
+
+export type QstnEvent = {
+  kind: (typeof QstnEventKind)[keyof typeof QstnEventKind];
+  /** LCA address of the account the event concerns */
+  account?: string;
+  /** nonce of the outbound message the event concerns */
+  messageId?: bigint;
+  detail?: Record<string, unknown>;
+};
+
+export type PublishedQstnEvent = QstnEvent & {
+  /** position of the event in the log, starting at 0n */
+  id: bigint;
+  timestamp: TimestampRecord;
+};
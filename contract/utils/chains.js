@@ -4,6 +4,16 @@ export const COSMOS_CHAINS = {
   Axelar: 'axelar',
 };
 
+/**
+ * Resolves the `destinationChain` of a Cosmos message, either a
+ * `COSMOS_CHAINS` key or a chainHub name, to its chainHub name.
+ *
+ * @param {string} destinationChain
+ * @returns {string}
+ */
+export const toCosmosChainName = (destinationChain) =>
+  COSMOS_CHAINS[destinationChain] ?? destinationChain;
+
 export const ActiveChainType = {
   EVM: 'evm',
   COSMOS: 'cosmos',
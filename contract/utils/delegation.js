@@ -0,0 +1,91 @@
+import { Fail, q } from '@endo/errors';
+import { listsAddress, normalizeTarget } from './targets.js';
+
+/**
+ * @import {Amount, Brand} from '@agoric/ertp';
+ * @import {CrossChainContractMessage} from './types.js';
+ * @import {QstnDelegationScope} from '../types';
+ */
+
+/**
+ * Checks that an operator's messages stay within the scope it was delegated:
+ * each goes to one of its destinations, has one of its GMP types if it has a
+ * type, and sends a brand that its `maxAmount` allows. How much the operator
+ * may send in all is for `countSpending`.
+ *
+ * @param {QstnDelegationScope} scope
+ * @param {CrossChainContractMessage[]} messages
+ * @param {Amount<'nat'>[]} amounts one per message
+ */
+export const assertInScope = (
+  { destinations, types, maxAmount },
+  messages,
+  amounts,
+) => {
+  /** @type {Map<string, string[]>} */
+  const allowed = new Map();
+  for (const target of destinations) {
+    const { chain, address } = normalizeTarget(target);
+    allowed.set(chain, [...(allowed.get(chain) ?? []), address]);
+  }
+  for (const [index, message] of messages.entries()) {
+    const { destinationChain, destinationAddress, type } = message;
+    const { chain, address } = normalizeTarget({
+      chain: destinationChain,
+      address: destinationAddress,
+    });
+    listsAddress(allowed.get(chain), address) ||
+      Fail`message ${q(index)} goes to ${q(destinationAddress)} on ${q(chain)}, outside the delegation`;
+    type === undefined ||
+      types.includes(type) ||
+      Fail`message ${q(index)} has type ${q(type)}, outside the delegation`;
+    const { brand } = amounts[index];
+    maxAmount.some((a) => a.brand === brand) ||
+      Fail`message ${q(index)} sends ${q(brand)}, which the delegation does not allow`;
+  }
+};
+harden(assertInScope);
+
+/**
+ * Adds what an offer sends to what the operator has sent under a delegation,
+ * failing if that would pass its `maxAmount` of any brand.
+ *
+ * @param {QstnDelegationScope} scope
+ * @param {Amount<'nat'>[]} spent by earlier offers, one Amount per brand
+ * @param {Amount<'nat'>[]} amounts the offer sends, gas included
+ * @returns {Amount<'nat'>[]} the new spent
+ */
+export const countSpending = ({ maxAmount }, spent, amounts) => {
+  /** @type {Map<Brand<'nat'>, bigint>} */
+  const totals = new Map(spent.map(({ brand, value }) => [brand, value]));
+  for (const { brand, value } of amounts) {
+    const max =
+      maxAmount.find((a) => a.brand === brand) ??
+      Fail`the offer sends ${q(brand)}, which the delegation does not allow`;
+    const total = (totals.get(brand) ?? 0n) + value;
+    total <= max.value ||
+      Fail`the offer would bring the delegation's spending to ${q(total)} of ${q(brand)}, over its limit of ${q(max)}`;
+    totals.set(brand, total);
+  }
+  return harden([...totals].map(([brand, value]) => ({ brand, value })));
+};
+harden(countSpending);
+
+/**
+ * Takes back what `countSpending` counted for an offer whose funds never
+ * left it.
+ *
+ * @param {Amount<'nat'>[]} spent
+ * @param {Amount<'nat'>[]} amounts the offer would have sent
+ * @returns {Amount<'nat'>[]}
+ */
+export const uncountSpending = (spent, amounts) =>
+  harden(
+    spent.map(({ brand, value }) => {
+      const back = amounts
+        .filter((a) => a.brand === brand)
+        .reduce((sum, a) => sum + a.value, 0n);
+      return { brand, value: value > back ? value - back : 0n };
+    }),
+  );
+harden(uncountSpending);
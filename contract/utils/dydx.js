@@ -0,0 +1,102 @@
+import { Fail, q } from '@endo/errors';
+import { encodeBase64 } from '@endo/base64';
+
+/**
+ * @import {DydxSubaccountId} from '../types';
+ */
+
+/** dYdX asset id of USDC, the only asset subaccounts hold collateral in. */
+export const DYDX_USDC_ASSET_ID = 0;
+
+/** Largest subaccount number dYdX accepts. */
+export const MAX_SUBACCOUNT_NUMBER = 127;
+
+export const MsgDepositToSubaccountTypeUrl =
+  '/dydxprotocol.sending.MsgDepositToSubaccount';
+
+/**
+ * Minimal protobuf writer for the few field types dYdX messages need.
+ * Fields holding the proto3 default value are left out, as the reference
+ * encoders do.
+ */
+const makeProtoWriter = () => {
+  /** @type {number[]} */
+  const bytes = [];
+
+  /** @param {bigint} value */
+  const varint = (value) => {
+    value >= 0n || Fail`varint must not be negative: ${q(value)}`;
+    let rest = value;
+    while (rest >= 0x80n) {
+      bytes.push(Number(rest & 0x7fn) | 0x80);
+      rest >>= 7n;
+    }
+    bytes.push(Number(rest));
+  };
+  /** @param {number} field @param {number} wireType */
+  const tag = (field, wireType) => varint(BigInt((field << 3) | wireType));
+
+  const writer = {
+    /** @param {number} field @param {bigint | number} value */
+    uint(field, value) {
+      if (BigInt(value) === 0n) return writer;
+      tag(field, 0);
+      varint(BigInt(value));
+      return writer;
+    },
+    /** @param {number} field @param {Uint8Array | number[]} value */
+    bytes(field, value) {
+      if (value.length === 0) return writer;
+      tag(field, 2);
+      varint(BigInt(value.length));
+      bytes.push(...value);
+      return writer;
+    },
+    /** @param {number} field @param {string} value */
+    string(field, value) {
+      return writer.bytes(field, new TextEncoder().encode(value));
+    },
+    finish() {
+      return Uint8Array.from(bytes);
+    },
+  };
+  return writer;
+};
+
+/** @param {DydxSubaccountId} subaccount */
+const encodeSubaccountId = ({ owner, number }) =>
+  makeProtoWriter().string(1, owner).uint(2, number).finish();
+
+/**
+ * Encodes a `MsgDepositToSubaccount`, which moves funds from `sender`'s bank
+ * balance on dYdX into the `recipient` subaccount, ready for
+ * `executeEncodedTx` on an account on dYdX.
+ *
+ * @param {{
+ *   sender: string;
+ *   recipient: DydxSubaccountId;
+ *   assetId?: number;
+ *   quantums: bigint;
+ * }} msg
+ *   `quantums` of USDC are its base units, `uusdc`
+ * @returns {{ typeUrl: string; value: string }} `value` is base64
+ */
+export const encodeMsgDepositToSubaccount = ({
+  sender,
+  recipient,
+  assetId = DYDX_USDC_ASSET_ID,
+  quantums,
+}) => {
+  quantums > 0n || Fail`quantums must be greater than zero`;
+  const value = makeProtoWriter()
+    .string(1, sender)
+    .bytes(2, encodeSubaccountId(recipient))
+    .uint(3, assetId)
+    .uint(4, quantums)
+    .finish();
+  return harden({
+    typeUrl: MsgDepositToSubaccountTypeUrl,
+    value: encodeBase64(value),
+  });
+};
+harden(encodeMsgDepositToSubaccount);
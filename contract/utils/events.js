@@ -0,0 +1,42 @@
+/**
+ * Kinds of events published to the contract's `log` node.
+ */
+export const QstnEventKind = /** @type {const} */ ({
+  REMOTE_CHANNEL_CREATING: 'remoteChannelCreating',
+  REMOTE_CHANNEL_REGISTERED: 'remoteChannelRegistered',
+  GMP_ROUTE_REGISTERED: 'gmpRouteRegistered',
+  DEFAULT_GMP_ROUTE_SET: 'defaultGmpRouteSet',
+  DEFAULT_TIMEOUT_SET: 'defaultTimeoutSet',
+  PAUSED: 'paused',
+  UNPAUSED: 'unpaused',
+  TARGETS_UPDATED: 'targetsUpdated',
+  ALLOWLIST_ENFORCED_SET: 'allowlistEnforcedSet',
+  SERVICE_FEE_SET: 'serviceFeeSet',
+  SERVICE_FEE_CHARGED: 'serviceFeeCharged',
+  SERVICE_FEES_COLLECTED: 'serviceFeesCollected',
+  GAS_DENOMS_SET: 'gasDenomsSet',
+  GAS_SPONSORSHIP_SET: 'gasSponsorshipSet',
+  GAS_QUOTA_SET: 'gasQuotaSet',
+  GAS_POOL_FUNDED: 'gasPoolFunded',
+  GAS_POOL_DRAINED: 'gasPoolDrained',
+  GAS_SPONSORED: 'gasSponsored',
+  GAS_RECLAIMED: 'gasReclaimed',
+  ACCOUNT_LIMITS_SET: 'accountLimitsSet',
+  ACCOUNT_CREATED: 'accountCreated',
+  MONITORING_STARTED: 'monitoringStarted',
+  REMOTE_ACCOUNT_CREATED: 'remoteAccountCreated',
+  TRANSACTIONS_RECEIVED: 'transactionsReceived',
+  TRANSFER_INITIATED: 'transferInitiated',
+  MESSAGE_COMPLETED: 'messageCompleted',
+  MESSAGE_FAILED: 'messageFailed',
+  MESSAGE_TIMED_OUT: 'messageTimedOut',
+  SUBACCOUNT_DEPOSITED: 'subaccountDeposited',
+  SUBACCOUNT_DEPOSIT_FAILED: 'subaccountDepositFailed',
+  REFUND_CREDITED: 'refundCredited',
+  WITHDRAWN: 'withdrawn',
+  DELEGATION_GRANTED: 'delegationGranted',
+  DELEGATION_REVOKED: 'delegationRevoked',
+  DELEGATED_SEND: 'delegatedSend',
+  RESPONSE_RECEIVED: 'responseReceived',
+});
+harden(QstnEventKind);
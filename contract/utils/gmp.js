@@ -1,7 +1,15 @@
-import { encodeFunctionData, encodeAbiParameters, hexToBytes } from 'viem';
+import {
+  encodeFunctionData,
+  encodeAbiParameters,
+  decodeAbiParameters,
+  hexToBytes,
+  bytesToHex,
+} from 'viem';
+import { decodeBase64 } from '@endo/base64';
+import { Fail, q } from '@endo/errors';
 
 /**
- * @import {ContractCall, AbiEncodedContractCall} from '../types';
+ * @import {ContractCall, AbiEncodedContractCall, AgoricResponse, AxelarGmpIncomingMemo, CallResult} from '../types';
  * @import {Bech32Address} from '@agoric/orchestration';
  */
 
@@ -12,6 +20,12 @@ export const AxelarGMPMessageType = /** @type {const} */ ({
 });
 harden(AxelarGMPMessageType);
 
+/** Keyword under which a `sendTransactions` offer gives Axelar gas. */
+export const GAS_KEYWORD = 'Gas';
+
+/** GMP route that sends transfers straight from Agoric to Axelar. */
+export const DIRECT_GMP_ROUTE = 'direct';
+
 /** @type {{ AXELAR_GMP: Bech32Address, AXELAR_GAS: Bech32Address, OSMOSIS_RECEIVER: Bech32Address }} */
 export const gmpAddresses = {
   AXELAR_GMP:
@@ -45,6 +59,20 @@ export const constructContractCall = ({ target, functionSignature, args }) => {
   };
 };
 
+/**
+ * ABI of a GMP payload: the contract calls that the proxy wallet on the EVM
+ * side makes, in order.
+ */
+export const ContractCallsAbi = harden([
+  {
+    type: 'tuple[]',
+    components: [
+      { name: 'target', type: 'address' },
+      { name: 'data', type: 'bytes' },
+    ],
+  },
+]);
+
 /**
  * Builds a GMP payload from an array of contract calls.
  *
@@ -60,18 +88,158 @@ export const buildGMPPayload = (contractCalls) => {
     );
   }
 
-  const abiEncodedData = encodeAbiParameters(
-    [
+  const abiEncodedData = encodeAbiParameters(ContractCallsAbi, [
+    abiEncodedContractCalls,
+  ]);
+
+  return Array.from(hexToBytes(abiEncodedData));
+};
+
+/**
+ * Decodes a GMP payload built by `buildGMPPayload` back into its calls.
+ *
+ * @param {number[]} payload
+ * @returns {AbiEncodedContractCall[]}
+ */
+export const decodeGMPPayload = (payload) => {
+  const [calls] = decodeAbiParameters(
+    ContractCallsAbi,
+    bytesToHex(Uint8Array.from(payload)),
+  );
+  return harden(calls.map(({ target, data }) => ({ target, data })));
+};
+
+/**
+ * Merges GMP payloads into one whose calls are those of each payload in
+ * turn, so that they travel in a single GMP message.
+ *
+ * @param {number[][]} payloads
+ * @returns {{ payload: number[]; callCounts: number[] }} the merged payload,
+ *   and how many of its calls came from each payload
+ */
+export const mergeGMPPayloads = (payloads) => {
+  const decoded = payloads.map(decodeGMPPayload);
+  const payload = Array.from(
+    hexToBytes(encodeAbiParameters(ContractCallsAbi, [decoded.flat()])),
+  );
+  return harden({ payload, callCounts: decoded.map((calls) => calls.length) });
+};
+
+/** ABI of the nonce that `appendNonce` puts at the end of a payload. */
+const NonceAbi = harden([{ name: 'nonce', type: 'uint256' }]);
+
+/**
+ * Appends a message's nonce to the payload of a contract call, as a 32-byte
+ * big-endian `uint256`, so that the contract can spot duplicated or
+ * out-of-order deliveries. ABI decoding ignores trailing bytes, so a
+ * contract that does not read the nonce decodes the payload as before.
+ *
+ * @param {number[]} payload
+ * @param {bigint} nonce
+ * @returns {number[]}
+ */
+export const appendNonce = (payload, nonce) =>
+  harden([...payload, ...hexToBytes(encodeAbiParameters(NonceAbi, [nonce]))]);
+
+/**
+ * Splits the nonce that `appendNonce` added back off a payload.
+ *
+ * @param {number[]} payload
+ * @returns {{ payload: number[]; nonce: bigint }}
+ */
+export const splitNonce = (payload) => {
+  const at = payload.length - 32;
+  at >= 0 || Fail`payload of ${q(payload.length)} bytes has no nonce`;
+  const [nonce] = decodeAbiParameters(
+    NonceAbi,
+    bytesToHex(Uint8Array.from(payload.slice(at))),
+  );
+  return harden({ payload: payload.slice(0, at), nonce });
+};
+
+/**
+ * Splits the call results of a response to a merged payload back out by
+ * the payloads that were merged.
+ *
+ * @param {CallResult[]} data results, one per call
+ * @param {number[]} callCounts as returned by `mergeGMPPayloads`
+ * @returns {CallResult[][] | undefined} undefined if the number of results
+ *   does not match the number of calls
+ */
+export const splitCallResults = (data, callCounts) => {
+  const total = callCounts.reduce((sum, n) => sum + n, 0);
+  if (data.length !== total) return undefined;
+  let start = 0;
+  return harden(
+    callCounts.map((count) => {
+      const part = data.slice(start, start + count);
+      start += count;
+      return part;
+    }),
+  );
+};
+
+/**
+ * ABI of the `AgoricResponse` struct that EVM contracts send back to Agoric
+ * through Axelar GMP.
+ */
+export const AgoricResponseAbi = harden([
+  {
+    type: 'tuple',
+    components: [
+      { name: 'isContractCallResult', type: 'bool' },
       {
+        name: 'data',
         type: 'tuple[]',
         components: [
-          { name: 'target', type: 'address' },
-          { name: 'data', type: 'bytes' },
+          { name: 'success', type: 'bool' },
+          { name: 'result', type: 'bytes' },
         ],
       },
     ],
-    [abiEncodedContractCalls],
+  },
+]);
+
+/**
+ * Parses the memo of an inbound transfer as an Axelar GMP message.
+ *
+ * @param {string} [memo] - The memo of the FungibleTokenPacketData.
+ * @returns {AxelarGmpIncomingMemo | undefined} The parsed memo, or undefined
+ *   if the memo is not an Axelar GMP message.
+ */
+export const parseIncomingMemo = (memo) => {
+  if (!memo) return undefined;
+  let parsed;
+  try {
+    parsed = JSON.parse(memo);
+  } catch {
+    return undefined;
+  }
+  if (
+    !parsed ||
+    typeof parsed.source_chain !== 'string' ||
+    typeof parsed.source_address !== 'string' ||
+    typeof parsed.payload !== 'string'
+  ) {
+    return undefined;
+  }
+  return harden(parsed);
+};
+
+/**
+ * Decodes the base64 payload of an Axelar GMP message into an AgoricResponse.
+ *
+ * @param {string} payload - Base64-encoded, ABI-encoded AgoricResponse.
+ * @returns {AgoricResponse} The decoded response.
+ */
+export const decodeAgoricResponse = (payload) => {
+  const [{ isContractCallResult, data }] = decodeAbiParameters(
+    AgoricResponseAbi,
+    decodeBase64(payload),
   );
 
-  return Array.from(hexToBytes(abiEncodedData));
+  return harden({
+    isContractCallResult,
+    data: data.map(({ success, result }) => ({ success, result })),
+  });
 };
@@ -0,0 +1,105 @@
+import { Fail, q } from '@endo/errors';
+
+/**
+ * @import {Amount, Brand} from '@agoric/ertp';
+ * @import {LimitedSend, QstnAccountLimits} from '../types';
+ */
+
+/** Window of the daily cap, in seconds. */
+export const DAY_SECONDS = 24n * 60n * 60n;
+
+/**
+ * @param {Amount<'nat'>[] | undefined} amounts
+ * @param {Brand<'nat'>} brand
+ */
+const findBrand = (amounts, brand) => amounts?.find((a) => a.brand === brand);
+
+/**
+ * @param {Amount<'nat'>[]} amounts
+ * @param {Brand<'nat'>} brand
+ */
+const sumBrand = (amounts, brand) =>
+  amounts.reduce((sum, a) => (a.brand === brand ? sum + a.value : sum), 0n);
+
+/**
+ * How far back sends count against `limits`, in seconds; 0n when no limit
+ * looks back.
+ *
+ * @param {QstnAccountLimits} limits
+ */
+const lookback = ({ dailyCap, rate }) => {
+  const daily = dailyCap && dailyCap.length > 0 ? DAY_SECONDS : 0n;
+  const window = rate ? rate.windowSeconds : 0n;
+  return daily > window ? daily : window;
+};
+
+/**
+ * Checks the messages of an offer against an account's limits, given the
+ * sends it made recently. Fails with the allowance left when the offer is
+ * over a limit.
+ *
+ * @param {QstnAccountLimits} limits
+ * @param {LimitedSend[]} recent sends as returned by an earlier check
+ * @param {bigint} now in seconds
+ * @param {Amount<'nat'>[]} amounts one per message of the offer
+ * @returns {LimitedSend[]} the sends to check later offers against: those
+ *   still in a window, and the offer's messages
+ */
+export const checkLimits = (limits, recent, now, amounts) => {
+  const { maxPerMessage, dailyCap, rate } = limits;
+  for (const [index, amount] of amounts.entries()) {
+    const max = findBrand(maxPerMessage, amount.brand);
+    !max ||
+      amount.value <= max.value ||
+      Fail`message ${q(index)} sends ${q(amount)}, over the limit of ${q(max)} per message`;
+  }
+
+  const since = now - lookback(limits);
+  const kept = recent.filter(({ at }) => at > since);
+
+  for (const cap of dailyCap ?? []) {
+    const used = sumBrand(
+      kept.filter(({ at }) => at > now - DAY_SECONDS).map((s) => s.amount),
+      cap.brand,
+    );
+    const left = cap.value > used ? cap.value - used : 0n;
+    const sending = sumBrand(amounts, cap.brand);
+    sending <= left ||
+      Fail`the offer sends ${q({ brand: cap.brand, value: sending })} but only ${q({ brand: cap.brand, value: left })} is left of the daily cap of ${q(cap)}`;
+  }
+
+  if (rate) {
+    const { maxMessages, windowSeconds } = rate;
+    const used = kept.filter(({ at }) => at > now - windowSeconds).length;
+    const left = used < maxMessages ? maxMessages - used : 0;
+    amounts.length <= left ||
+      Fail`the offer sends ${q(amounts.length)} messages but only ${q(left)} more are allowed within ${q(windowSeconds)} seconds`;
+  }
+
+  if (since === now) return harden([]);
+  return harden([...kept, ...amounts.map((amount) => ({ at: now, amount }))]);
+};
+harden(checkLimits);
+
+/**
+ * Takes back the sends that `checkLimits` counted for an offer that then
+ * failed. Sends of other offers made at the same time are left in place:
+ * only one matching send is removed per amount.
+ *
+ * @param {LimitedSend[]} recent as returned by the check of the offer
+ * @param {bigint} now as given to that check
+ * @param {Amount<'nat'>[]} amounts as given to that check
+ * @returns {LimitedSend[]}
+ */
+export const uncountSends = (recent, now, amounts) => {
+  const kept = [...recent];
+  for (const { brand, value } of amounts) {
+    const index = kept.findLastIndex(
+      ({ at, amount }) =>
+        at === now && amount.brand === brand && amount.value === value,
+    );
+    if (index >= 0) kept.splice(index, 1);
+  }
+  return harden(kept);
+};
+harden(uncountSends);
@@ -0,0 +1,96 @@
+import { Fail, q } from '@endo/errors';
+import { gmpAddresses } from './gmp.js';
+
+/**
+ * @import {Bech32Address} from '@agoric/orchestration';
+ * @import {OsmosisSwap, OsmosisSwapMemo, OsmosisSwapMsg} from '../types';
+ */
+
+/**
+ * Builds the `osmosis_swap` message of the crosschain-swaps contract.
+ *
+ * @param {OsmosisSwap & {
+ *   receiver: string;
+ *   nextMemo?: Record<string, unknown>;
+ * }} swap
+ *   `receiver` is where the contract forwards the swap output; any chain it
+ *   has a channel to works. `nextMemo` is passed along with the output, for
+ *   example to hand it to Axelar.
+ * @returns {OsmosisSwapMsg}
+ */
+export const buildOsmosisSwapMsg = ({
+  outputDenom,
+  slippage,
+  receiver,
+  recoveryAddress,
+  nextMemo,
+}) => {
+  /** @type {OsmosisSwapMsg['osmosis_swap']['slippage']} */
+  let slippageMsg;
+  if ('twap' in slippage) {
+    const { slippagePercentage, windowSeconds } = slippage.twap;
+    (slippagePercentage > 0 && slippagePercentage <= 100) ||
+      Fail`slippagePercentage ${q(slippagePercentage)} must be in (0, 100]`;
+    (Number.isSafeInteger(windowSeconds) && windowSeconds > 0) ||
+      Fail`windowSeconds ${q(windowSeconds)} must be a positive integer`;
+    slippageMsg = {
+      twap: {
+        slippage_percentage: String(slippagePercentage),
+        window_seconds: windowSeconds,
+      },
+    };
+  } else {
+    slippage.minOutputAmount > 0n ||
+      Fail`minOutputAmount must be greater than zero`;
+    slippageMsg = { min_output_amount: String(slippage.minOutputAmount) };
+  }
+
+  return harden({
+    osmosis_swap: {
+      output_denom: outputDenom,
+      slippage: slippageMsg,
+      receiver,
+      on_failed_delivery: recoveryAddress
+        ? { local_recovery_addr: recoveryAddress }
+        : 'do_nothing',
+      ...(nextMemo && { next_memo: nextMemo }),
+    },
+  });
+};
+harden(buildOsmosisSwapMsg);
+
+/**
+ * Builds the memo of a transfer to Osmosis that swaps the transferred tokens
+ * and forwards the output. Osmosis' IBC hooks only execute the memo when the
+ * transfer's receiver is the contract itself, so the transfer must be sent to
+ * `contract`.
+ *
+ * The hook memo may hold nothing but `wasm`, so the `nonce` goes in the swap's
+ * `next_memo`, which travels with the forwarded output.
+ *
+ * @param {Parameters<typeof buildOsmosisSwapMsg>[0] & {
+ *   contract?: Bech32Address;
+ *   nonce?: bigint;
+ * }} opts
+ *   `contract` defaults to `gmpAddresses.OSMOSIS_RECEIVER`
+ * @returns {OsmosisSwapMemo}
+ */
+export const buildOsmosisSwapMemo = ({
+  contract = gmpAddresses.OSMOSIS_RECEIVER,
+  nonce,
+  nextMemo,
+  ...swap
+}) =>
+  harden({
+    wasm: {
+      contract,
+      msg: buildOsmosisSwapMsg({
+        ...swap,
+        nextMemo:
+          nonce === undefined
+            ? nextMemo
+            : { ...nextMemo, nonce: String(nonce) },
+      }),
+    },
+  });
+harden(buildOsmosisSwapMemo);
@@ -0,0 +1,47 @@
+/**
+ * @import {ForwardInfo} from '@agoric/orchestration';
+ */
+
+/**
+ * Receiver of a transfer on a chain that only forwards it. Packet forward
+ * middleware ignores it, so it is purposely not a valid address.
+ *
+ * @see {@link https://github.com/cosmos/ibc-apps/blob/26f3ad8f58e4ffc7769c6766cb42b954181dc100/middleware/packet-forward-middleware/README.md#minimal-example---chain-forward-a-b-c}
+ */
+export const PFM_RECEIVER = 'pfm';
+
+/** How long each forwarded hop may take, and how often it is retried. */
+export const DefaultForwardOpts = harden({ timeout: '10m', retries: 2 });
+
+/**
+ * Builds a packet forward middleware memo that forwards a transfer one more
+ * hop, with `next` as the memo of the forwarded transfer.
+ *
+ * @param {{
+ *   receiver: string;
+ *   port?: string;
+ *   channel: string;
+ *   next?: Record<string, unknown>;
+ *   timeout?: string;
+ *   retries?: number;
+ * }} opts
+ * @returns {ForwardInfo}
+ */
+export const buildForwardMemo = ({
+  receiver,
+  port = 'transfer',
+  channel,
+  next,
+  ...rest
+}) =>
+  harden({
+    forward: {
+      receiver,
+      port,
+      channel,
+      ...DefaultForwardOpts,
+      ...rest,
+      ...(next && { next: JSON.stringify(next) }),
+    },
+  });
+harden(buildForwardMemo);
@@ -0,0 +1,30 @@
+/**
+ * @import {Amount} from '@agoric/ertp';
+ * @import {QstnServiceFee} from '../types';
+ */
+
+/** Keyword under which a `sendTransactions` offer gives the service fee. */
+export const FEE_KEYWORD = 'Fee';
+
+/** Basis points in a whole. */
+export const BASIS_POINTS = 10_000n;
+
+/**
+ * Computes the service fee of an offer: the flat fee for each message, plus
+ * `basisPoints` of the amount of each message sent in the fee's brand,
+ * rounded down.
+ *
+ * @param {QstnServiceFee} fee
+ * @param {Amount<'nat'>[]} amounts one per message of the offer
+ * @returns {Amount<'nat'>}
+ */
+export const computeServiceFee = ({ brand, flat, basisPoints }, amounts) => {
+  let value = flat * BigInt(amounts.length);
+  for (const amount of amounts) {
+    if (amount.brand === brand) {
+      value += (amount.value * basisPoints) / BASIS_POINTS;
+    }
+  }
+  return harden({ brand, value });
+};
+harden(computeServiceFee);
@@ -0,0 +1,34 @@
+import { toCosmosChainName } from './chains.js';
+
+/**
+ * @import {QstnTarget} from '../types';
+ */
+
+/** Address that stands for every address on a chain in a target list. */
+export const ANY_ADDRESS = '*';
+
+/**
+ * Puts a target in the form that target lists are keyed by: chains by their
+ * name in lower case, Cosmos ones by their chainHub name, and EVM addresses
+ * in lower case. Axelar matches chain names regardless of case, and EVM
+ * addresses are not case sensitive.
+ *
+ * @param {QstnTarget} target without an address, the whole chain
+ * @returns {Required<QstnTarget>}
+ */
+export const normalizeTarget = ({ chain, address = ANY_ADDRESS }) =>
+  harden({
+    chain: toCosmosChainName(chain).toLowerCase(),
+    address: address.startsWith('0x') ? address.toLowerCase() : address,
+  });
+harden(normalizeTarget);
+
+/**
+ * @param {string[] | undefined} addresses that a list has for a chain
+ * @param {string} address normalized
+ * @returns {boolean} whether the list covers the address
+ */
+export const listsAddress = (addresses, address) =>
+  !!addresses &&
+  (addresses.includes(ANY_ADDRESS) || addresses.includes(address));
+harden(listsAddress);
@@ -0,0 +1,261 @@
+import { M, mustMatch } from '@endo/patterns';
+import { Fail, q } from '@endo/errors';
+import { AxelarGMPMessageType } from './gmp.js';
+import { ActiveChainType, COSMOS_CHAINS, toCosmosChainName } from './chains.js';
+import { MAX_SUBACCOUNT_NUMBER } from './dydx.js';
+import { BASIS_POINTS } from './service-fee.js';
+
+/**
+ * @import {TypedPattern} from '@agoric/internal';
+ * @import {CrossChainContractMessage} from './types.js';
+ * @import {GasSponsorship, MakeAccountOfferArgs, QstnDelegationScope, OsmosisSwap, QstnAccountLimits, QstnServiceFee, QstnTarget} from '../types';
+ */
+
+/** Largest GMP payload, in bytes, that a single message may carry. */
+export const MAX_PAYLOAD_BYTES = 8 * 1024;
+
+/** Longest relative IBC timeout a transfer may be sent with: one week. */
+export const MAX_TIMEOUT_SECONDS = 7n * 24n * 60n * 60n;
+
+export const TimeoutSecondsShape = M.and(
+  M.nat(),
+  M.gte(1n),
+  M.lte(MAX_TIMEOUT_SECONDS),
+);
+
+/** Most messages that a single `sendTransactions` offer may carry. */
+export const MAX_MESSAGES = 32;
+
+const EVM_ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+// human-readable part, separator `1`, then data from the bech32 charset
+const BECH32_ADDRESS_RE = /^[a-z][a-z0-9]*1[02-9ac-hj-np-z]{38,58}$/;
+
+export const ChainNameShape = M.string({ stringLengthLimit: 64 });
+const AddressShape = M.string({ stringLengthLimit: 128 });
+
+/** @type {TypedPattern<QstnServiceFee>} */
+export const ServiceFeeShape = harden({
+  brand: M.remotable('Brand'),
+  flat: M.nat(),
+  basisPoints: M.and(M.nat(), M.lte(BASIS_POINTS)),
+});
+
+/** @type {TypedPattern<GasSponsorship>} */
+export const GasSponsorshipShape = harden({
+  brand: M.remotable('Brand'),
+  types: M.arrayOf(
+    M.or(
+      AxelarGMPMessageType.MESSAGE_ONLY,
+      AxelarGMPMessageType.MESSAGE_WITH_TOKEN,
+    ),
+  ),
+  defaultQuota: M.nat(),
+});
+
+/** Name of an account among those of its owner. */
+export const AccountLabelShape = M.string({ stringLengthLimit: 64 });
+
+/** @type {TypedPattern<MakeAccountOfferArgs>} */
+export const MakeAccountOfferArgsShape = M.splitRecord(
+  {},
+  { label: AccountLabelShape },
+  {},
+);
+
+/**
+ * Checks the offerArgs of a `makeAccount` offer.
+ *
+ * @param {unknown} offerArgs
+ * @returns {asserts offerArgs is MakeAccountOfferArgs}
+ */
+export const assertMakeAccountOfferArgs = (offerArgs) => {
+  mustMatch(offerArgs, MakeAccountOfferArgsShape, 'offerArgs');
+  const { label } = offerArgs;
+  label === undefined || label.length > 0 || Fail`label must not be empty`;
+};
+harden(assertMakeAccountOfferArgs);
+
+const NatAmountShape = harden({ brand: M.remotable('Brand'), value: M.nat() });
+
+/** @type {TypedPattern<QstnAccountLimits>} */
+export const AccountLimitsShape = M.splitRecord(
+  {},
+  {
+    maxPerMessage: M.arrayOf(NatAmountShape),
+    dailyCap: M.arrayOf(NatAmountShape),
+    rate: {
+      maxMessages: M.and(M.number(), M.gte(0)),
+      windowSeconds: M.and(M.nat(), M.gte(1n)),
+    },
+  },
+);
+
+/**
+ * A destination chain, or one address on it, in the creator's target lists.
+ *
+ * @type {TypedPattern<QstnTarget>}
+ */
+export const TargetShape = M.splitRecord(
+  { chain: ChainNameShape },
+  { address: AddressShape },
+);
+
+export const GMPMessageTypeShape = M.or(
+  AxelarGMPMessageType.MESSAGE_ONLY,
+  AxelarGMPMessageType.MESSAGE_WITH_TOKEN,
+  AxelarGMPMessageType.TOKEN_ONLY,
+);
+
+/** @type {TypedPattern<QstnDelegationScope>} */
+export const DelegationScopeShape = harden({
+  destinations: M.arrayOf(TargetShape, { arrayLengthLimit: 64 }),
+  types: M.arrayOf(GMPMessageTypeShape),
+  maxAmount: M.arrayOf(NatAmountShape),
+  expiresAt: M.nat(),
+});
+
+/** ABI-encoded GMP payload as an array of byte values. */
+export const PayloadBytesShape = M.arrayOf(
+  M.and(M.number(), M.gte(0), M.lte(255)),
+  { arrayLengthLimit: MAX_PAYLOAD_BYTES },
+);
+
+const MessageOptionalShape = {
+  keyword: M.string(),
+  timeoutSeconds: TimeoutSecondsShape,
+};
+
+export const EVMMessageShape = M.splitRecord(
+  {
+    chainType: ActiveChainType.EVM,
+    type: GMPMessageTypeShape,
+    destinationChain: ChainNameShape,
+    destinationAddress: AddressShape,
+    payload: PayloadBytesShape,
+    amount: M.nat(),
+  },
+  { ...MessageOptionalShape, route: ChainNameShape },
+);
+
+/** @type {TypedPattern<OsmosisSwap>} */
+export const OsmosisSwapShape = M.splitRecord(
+  {
+    outputDenom: M.string(),
+    slippage: M.or(
+      {
+        twap: {
+          slippagePercentage: M.and(M.number(), M.gt(0), M.lte(100)),
+          windowSeconds: M.and(M.number(), M.gt(0)),
+        },
+      },
+      { minOutputAmount: M.and(M.nat(), M.gt(0n)) },
+    ),
+  },
+  { recoveryAddress: AddressShape },
+);
+
+export const CosmosMessageShape = M.splitRecord(
+  {
+    chainType: ActiveChainType.COSMOS,
+    destinationChain: ChainNameShape,
+    destinationAddress: AddressShape,
+    amount: M.nat(),
+  },
+  {
+    ...MessageOptionalShape,
+    type: GMPMessageTypeShape,
+    payload: M.record(),
+    swap: OsmosisSwapShape,
+    subaccountNumber: M.and(M.number(), M.gte(0), M.lte(MAX_SUBACCOUNT_NUMBER)),
+  },
+);
+
+/** @type {TypedPattern<CrossChainContractMessage>} */
+export const CrossChainContractMessageShape = M.or(
+  EVMMessageShape,
+  CosmosMessageShape,
+);
+
+export const SendTransactionsOfferArgsShape = M.splitRecord(
+  {
+    messages: M.arrayOf(CrossChainContractMessageShape, {
+      arrayLengthLimit: MAX_MESSAGES,
+    }),
+  },
+  {
+    gasAmount: M.and(M.number(), M.gt(0)),
+    timeoutSeconds: TimeoutSecondsShape,
+    batch: M.boolean(),
+  },
+);
+
+/**
+ * Checks a message against `CrossChainContractMessageShape`, then checks
+ * what a pattern cannot express: the address format for its chain type,
+ * that payload bytes are whole numbers, and that only Osmosis messages swap
+ * and only dYdX messages credit a subaccount.
+ *
+ * @param {unknown} message
+ * @returns {asserts message is CrossChainContractMessage}
+ */
+export const assertCrossChainContractMessage = (message) => {
+  mustMatch(message, CrossChainContractMessageShape, 'message');
+  const { chainType, destinationAddress } = message;
+  if (chainType === ActiveChainType.EVM) {
+    EVM_ADDRESS_RE.test(destinationAddress) ||
+      Fail`destinationAddress ${q(destinationAddress)} is not a hex EVM address`;
+    message.payload.every(Number.isInteger) ||
+      Fail`payload must be an array of byte values`;
+  } else {
+    BECH32_ADDRESS_RE.test(destinationAddress) ||
+      Fail`destinationAddress ${q(destinationAddress)} is not a bech32 address`;
+    const { destinationChain, swap, subaccountNumber } = message;
+    const chainName = toCosmosChainName(destinationChain);
+    !swap ||
+      chainName === COSMOS_CHAINS.Osmosis ||
+      Fail`swap is only supported on Osmosis, not ${q(destinationChain)}`;
+    if (subaccountNumber !== undefined) {
+      chainName === COSMOS_CHAINS.Dydx ||
+        Fail`subaccountNumber is only supported on dYdX, not ${q(destinationChain)}`;
+      Number.isInteger(subaccountNumber) ||
+        Fail`subaccountNumber ${q(subaccountNumber)} must be an integer`;
+    }
+    const { recoveryAddress } = swap ?? {};
+    recoveryAddress === undefined ||
+      recoveryAddress.startsWith('osmo1') ||
+      Fail`recoveryAddress ${q(recoveryAddress)} is not an Osmosis address`;
+  }
+};
+harden(assertCrossChainContractMessage);
+
+/**
+ * Checks the offerArgs of a `sendTransactions` offer, including every
+ * message, so that a bad offer is rejected before any funds move.
+ *
+ * Messages that pay Axelar gas (GMP types 1 and 2) need a `gasAmount`.
+ *
+ * @param {unknown} offerArgs
+ * @returns {asserts offerArgs is {
+ *   messages: CrossChainContractMessage[];
+ *   gasAmount?: number;
+ *   timeoutSeconds?: bigint;
+ *   batch?: boolean;
+ * }}
+ */
+export const assertSendTransactionsOfferArgs = (offerArgs) => {
+  mustMatch(offerArgs, SendTransactionsOfferArgsShape, 'offerArgs');
+  const { messages, gasAmount } = offerArgs;
+  messages.length > 0 || Fail`offerArgs must carry at least one message`;
+  for (const message of messages) {
+    assertCrossChainContractMessage(message);
+  }
+  const paysGas = messages.some(
+    (m) =>
+      m.chainType === ActiveChainType.EVM &&
+      m.type !== AxelarGMPMessageType.TOKEN_ONLY,
+  );
+  !paysGas ||
+    (gasAmount !== undefined && Number.isSafeInteger(gasAmount)) ||
+    Fail`gasAmount must be a positive integer when a message pays Axelar gas`;
+};
+harden(assertSendTransactionsOfferArgs);
@@ -4,6 +4,7 @@ import '@agoric/vats/src/types.js';
  * @import {AxelarGMPMessageType} from '../utils/gmp';
  * @import {COSMOS_CHAINS, EVM_CHAINS, ActiveChainType} from './chains.js';
  * @import {ChainInfo} from "@agoric/orchestration/src/orchestration-api.js"
+ * @import {OsmosisSwap} from '../types';
  */
 
 /**
@@ -26,10 +27,27 @@ import '@agoric/vats/src/types.js';
 /**
  * @typedef {object} CrossChainContractMessage
  * @property {string} destinationAddress
- * @property {GMPMessageType} type
+ * @property {GMPMessageType} [type] required for EVM messages
  * @property {ChainType} chainType
- * @property {any} payload
- * @property {SupportedEVMChains | SupportedCosmosChains} destinationChain
+ * @property {number[] | Record<string, unknown>} [payload] ABI-encoded GMP
+ *   payload bytes for EVM messages; memo fields for Cosmos messages
+ * @property {SupportedEVMChains | SupportedCosmosChains | string} destinationChain
+ *   EVM chain name, or for Cosmos chains either a `COSMOS_CHAINS` key or the
+ *   chainHub name of a chain registered at runtime
+ * @property {bigint} amount value sent with this message, in the brand of
+ *   `keyword`
+ * @property {string} [keyword] the `give` keyword to draw `amount` from;
+ *   may be omitted when the offer gives a single keyword
+ * @property {string} [route] EVM messages only: `'direct'` to send straight
+ *   to Axelar, or the chainHub name of a chain to forward through, such as
+ *   `'osmosis'`; defaults to the contract's configured route
+ * @property {bigint} [timeoutSeconds] IBC timeout of this message's
+ *   transfer, relative to when it is sent; overrides the offer's
+ * @property {number} [subaccountNumber] Cosmos messages to dYdX only: credit
+ *   this subaccount of `destinationAddress` with the transferred USDC
+ * @property {OsmosisSwap} [swap] Cosmos messages to Osmosis only: swap the
+ *   transferred tokens and forward the output to `destinationAddress`, with
+ *   `payload` as the memo of the forwarded transfer
  *
  */
 
@@ -42,4 +60,16 @@ import '@agoric/vats/src/types.js';
  * }} RemoteChannelInfo
  */
 
+/**
+ * A hop that GMP transfers can be forwarded through on their way to Axelar.
+ *
+ *  @typedef {{
+ *   chainId: string;
+ *   portId: string;
+ *   channelId: string;
+ * }} GmpRouteInfo
+ *   `chainId` is the hop chain's; `portId` and `channelId` are its end of the
+ *   channel to Axelar
+ */
+
 export {};
@@ -98,6 +98,11 @@ export const startQstnContract = async (
     E(agoricNames).lookup('issuer', 'AXL'),
   );
 
+  // dYdX subaccount deposits must be paid in USDC
+  const usdcIssuer = await safeFulfill(() =>
+    E(agoricNames).lookup('issuer', 'USDC'),
+  );
+
   // const wavaxIssuer = await safeFulfill(() =>
   //   E(agoricNames).lookup('issuer', 'WAVAX'),
   // );
@@ -106,6 +111,7 @@ export const startQstnContract = async (
     BLD: await BLD,
     IST: await IST,
     ...(axlIssuer && { AXL: axlIssuer }),
+    ...(usdcIssuer && { USDC: usdcIssuer }),
     // ...(wavaxIssuer && { WAVAX: wavaxIssuer }),
   });
   trace('issuerKeywordRecord', issuerKeywordRecord);
@@ -153,3 +159,63 @@ export const getManifest = ({ restoreRef }, { installationRef, options }) => {
     options,
   };
 };
+
+/**
+ * Upgrades the running instance to a new bundle, with the privateArgs it was
+ * started with. Accounts, their continuing invitations and all other durable
+ * state carry over; see docs/upgrade.md.
+ *
+ * @param {BootstrapPowers & {
+ *   instance: {
+ *     consume: {
+ *       qstnContract: Promise<Instance<StartFn>>;
+ *     };
+ *   };
+ * }} powers
+ * @param {{ options: { contractRef: { bundleID: string } } }} config
+ */
+export const upgradeQstnContract = async (
+  {
+    consume: { contractKits: contractKitsP, instancePrivateArgs },
+    instance: {
+      consume: { qstnContract },
+    },
+  },
+  { options: { contractRef } },
+) => {
+  trace(upgradeQstnContract.name);
+  const { bundleID } = contractRef;
+  assert(bundleID, 'qstnContract bundleID not found');
+
+  const [contractKits, instance] = await Promise.all([
+    contractKitsP,
+    qstnContract,
+  ]);
+  const { adminFacet } = contractKits.get(instance);
+  const privateArgs = (await instancePrivateArgs).get(instance);
+
+  trace('Upgrading to', bundleID);
+  const upgradeResult = await E(adminFacet).upgradeContract(
+    bundleID,
+    privateArgs,
+  );
+  trace('done', upgradeResult);
+};
+harden(upgradeQstnContract);
+
+export const getManifestForUpgrade = (_utils, { contractRef }) => {
+  return {
+    manifest: {
+      [upgradeQstnContract.name]: {
+        consume: {
+          contractKits: true,
+          instancePrivateArgs: true,
+        },
+        instance: {
+          consume: { qstnContract: true },
+        },
+      },
+    },
+    options: { contractRef },
+  };
+};
@@ -0,0 +1,24 @@
+import { makeHelpers } from '@agoric/deploy-script-support';
+import {
+  getManifestForUpgrade,
+  upgradeQstnContract,
+} from './start-contract.js';
+
+/** @type {import('@agoric/deploy-script-support/src/externalTypes.js').CoreEvalBuilder} */
+export const upgradeProposalBuilder = async ({ publishRef, install }) =>
+  harden({
+    sourceSpec: './start-contract.js',
+    getManifestCall: [
+      getManifestForUpgrade.name,
+      {
+        contractRef: publishRef(install('../dist/qstn.contract.bundle.js')),
+      },
+    ],
+  });
+
+/** @type {import('@agoric/deploy-script-support/src/externalTypes.js').DeployScriptFunction} */
+export default async (homeP, endowments) => {
+  const { writeCoreEval } = await makeHelpers(homeP, endowments);
+
+  await writeCoreEval(upgradeQstnContract.name, upgradeProposalBuilder);
+};
@@ -0,0 +1,56 @@
+import test from 'ava';
+import { makeHeapZone } from '@agoric/zone';
+import { Far } from '@endo/far';
+import { prepareAccountIndex } from 'contract/src/account-index.js';
+
+const makeIndex = () =>
+  prepareAccountIndex(makeHeapZone(), {
+    publish: (() => undefined) as any,
+    node: Far('StorageNode', { makeChildNode: () => undefined }) as any,
+  });
+
+const makers = Far('InvitationMakers', {});
+
+test('only an account that is its own owner starts an index', (t) => {
+  const index = makeIndex();
+  index.add('agoric1a', 'agoric1a', 'agoric1a', makers);
+
+  t.throws(() => index.add('agoric1a', 'again', 'agoric1a', makers), {
+    message: /"agoric1a" already has accounts/,
+  });
+  t.throws(() => index.add('agoric1z', 'joined', 'agoric1b', makers), {
+    message: /"agoric1z" has no accounts to join/,
+  });
+
+  index.add('agoric1a', 'trading', 'agoric1b', makers);
+  t.is(index.getOwner('agoric1b'), 'agoric1a');
+  t.deepEqual(index.list('agoric1a'), [
+    { label: 'agoric1a', address: 'agoric1a' },
+    { label: 'trading', address: 'agoric1b' },
+  ]);
+});
+
+test('a reserved label is held until its account is added or released', (t) => {
+  const index = makeIndex();
+  index.add('agoric1a', 'agoric1a', 'agoric1a', makers);
+
+  t.throws(() => index.reserve('agoric1z', 'trading'), {
+    message: /"agoric1z" has no accounts to join/,
+  });
+  index.reserve('agoric1a', 'trading');
+  t.throws(() => index.reserve('agoric1a', 'trading'), {
+    message: /"agoric1a" is already making an account labeled "trading"/,
+  });
+  index.add('agoric1a', 'trading', 'agoric1b', makers);
+  t.throws(() => index.reserve('agoric1a', 'trading'), {
+    message: /"agoric1a" already has an account labeled "trading"/,
+  });
+
+  index.reserve('agoric1a', 'savings');
+  index.release('agoric1a', 'savings');
+  index.reserve('agoric1a', 'savings');
+  t.deepEqual(
+    index.list('agoric1a').map(({ label }) => label),
+    ['agoric1a', 'trading'],
+  );
+});
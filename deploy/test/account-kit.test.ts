@@ -0,0 +1,116 @@
+import { test as anyTest } from '@agoric/zoe/tools/prepare-test-env-ava.js';
+import { eventLoopIteration } from '@agoric/internal/src/testing-utils.js';
+import { makeTestAddress } from '@agoric/orchestration/tools/make-test-address.js';
+import { E } from '@endo/far';
+import type { TestFn } from 'ava';
+import { encodeAbiParameters } from 'viem';
+import {
+  chainInfo,
+  makeQstnContext,
+  type QstnContext,
+} from './utils/qstn-context.js';
+import { makeReceiveUpCallPayload } from './utils/makeReceiveUpCallPayload.js';
+
+const test = anyTest as TestFn<
+  QstnContext & { account: Awaited<ReturnType<QstnContext['makeAccount']>> }
+>;
+
+test.beforeEach(async (t) => {
+  const ctx = await makeQstnContext();
+  t.context = { ...ctx, account: await ctx.makeAccount() };
+});
+
+const gmpMemo = (payload: string) =>
+  JSON.stringify({
+    source_chain: 'Ethereum',
+    source_address: '0x19e71e7eE5c2b13eF6bd52b9E3b437bdCc7d43c8',
+    payload,
+    type: 3,
+  });
+
+test('tap skips GMP memos whose payload is not a response', async (t) => {
+  const { account, readLatest } = t.context;
+
+  for (const payload of ['', 'AA==']) {
+    await t.notThrowsAsync(
+      account.lca.upcall('writeAcknowledgement', { memo: gmpMemo(payload) }),
+      `payload ${JSON.stringify(payload)}`,
+    );
+  }
+  await eventLoopIteration();
+
+  t.like(readLatest(`accounts.${account.address}`), { responseCount: 0n });
+  t.false(t.context.loggedKinds().includes('responseReceived'));
+});
+
+test('tap records the response of a contract call', async (t) => {
+  const { account, readLatest } = t.context;
+
+  const result = encodeAbiParameters(
+    [{ type: 'address' }],
+    ['0x126cf3AC9ea12794Ff50f56727C7C66E26D9C092'],
+  );
+  await account.lca.upcall('writeAcknowledgement', {
+    memo: gmpMemo(
+      makeReceiveUpCallPayload({
+        isContractCallResult: true,
+        data: [{ success: true, result }],
+      }),
+    ),
+  });
+  await eventLoopIteration();
+
+  t.like(readLatest(`accounts.${account.address}`), { responseCount: 1n });
+  t.deepEqual(readLatest(`accounts.${account.address}.responses.0`), {
+    sourceChain: 'Ethereum',
+    sourceAddress: '0x19e71e7eE5c2b13eF6bd52b9E3b437bdCc7d43c8',
+    isContractCallResult: true,
+    data: [{ success: true, result }],
+  });
+});
+
+test('credits a dYdX subaccount from the account made for the holder', async (t) => {
+  const { account, accounts, make, offer, readLatest } = t.context;
+  const owner = makeTestAddress(0, 'dydx');
+
+  const invitation = await E(account.invitationMakers).SendTransactions();
+  await offer(
+    invitation,
+    { give: { USDC: make('USDC', 25n) } },
+    {
+      messages: [
+        {
+          chainType: 'cosmos',
+          destinationChain: 'dydx',
+          destinationAddress: owner,
+          amount: 25n,
+          subaccountNumber: 3,
+        },
+      ],
+    },
+  );
+
+  const [transfer] = account.lca.transfers;
+  const dydx = accounts.get(transfer.destination.value)!;
+  t.is(transfer.destination.chainId, chainInfo.dydx.chainId);
+  t.like(readLatest(`accounts.${account.address}.messages.1`), {
+    status: 'pending',
+    subaccount: {
+      owner,
+      number: 3,
+      status: 'pending',
+      depositor: dydx.address.value,
+    },
+  });
+
+  transfer.settle();
+  await eventLoopIteration();
+  t.is(dydx.txs.length, 1);
+  dydx.txs[0].kit.resolver.resolve('');
+  await eventLoopIteration();
+
+  t.like(readLatest(`accounts.${account.address}.messages.1`), {
+    status: 'completed',
+    subaccount: { status: 'completed' },
+  });
+});
@@ -15,8 +15,9 @@ import { encodeAbiParameters } from 'viem';
 type MakeEVMTransactionParams = {
   wallet: SmartWalletDriver;
   previousOffer: string;
-  methodName: string;
-  offerArgs: any;
+  invitationMakerName: string;
+  invitationArgs?: any[];
+  offerArgs?: any;
   proposal: any;
 };
 
@@ -52,7 +53,8 @@ let lcaAddress = '';
 
 const makeEVMTransaction = async ({
   wallet,
-  methodName,
+  invitationMakerName,
+  invitationArgs = [],
   offerArgs,
   proposal,
 }: MakeEVMTransactionParams) => {
@@ -61,8 +63,8 @@ const makeEVMTransaction = async ({
   const proposeInvitationSpec: ContinuingInvitationSpec = {
     source: 'continuing',
     previousOffer,
-    invitationMakerName: 'makeEVMTransactionInvitation',
-    invitationArgs: harden([methodName, offerArgs]),
+    invitationMakerName,
+    invitationArgs: harden(invitationArgs),
   };
 
   evmTransactionCounter += 1;
@@ -71,6 +73,7 @@ const makeEVMTransaction = async ({
     id,
     invitationSpec: proposeInvitationSpec,
     proposal,
+    ...(offerArgs && { offerArgs: harden(offerArgs) }),
   });
   await eventLoopIteration();
   return id;
@@ -175,8 +178,7 @@ test.serial('get lca address', async (t) => {
   await makeEVMTransaction({
     wallet,
     previousOffer,
-    methodName: 'getLocalAddress',
-    offerArgs: [],
+    invitationMakerName: 'GetLocalAddress',
     proposal: {},
   });
 
@@ -239,8 +241,7 @@ test.serial('receiveUpCall test', async (t) => {
   await makeEVMTransaction({
     wallet,
     previousOffer,
-    methodName: 'getAddress',
-    offerArgs: [],
+    invitationMakerName: 'GetLatestMessage',
     proposal: {},
   });
 
@@ -263,8 +264,8 @@ test.serial('make offers using the lca', async (t) => {
   await makeEVMTransaction({
     wallet,
     previousOffer,
-    methodName: 'send',
-    offerArgs: [
+    invitationMakerName: 'Send',
+    invitationArgs: [
       {
         value: 'agoric1EOAAccAddress',
         chainId: 'agoriclocal',
@@ -291,14 +292,19 @@ test.serial('token transfers using lca', async (t) => {
   await makeEVMTransaction({
     wallet,
     previousOffer,
-    methodName: 'sendGmp',
-    offerArgs: [
-      {
-        destinationAddress: '0x20E68F6c276AC6E297aC46c84Ab260928276691D',
-        type: 3,
-        destinationEVMChain: 'Ethereum',
-      },
-    ],
+    invitationMakerName: 'SendTransactions',
+    offerArgs: {
+      messages: [
+        {
+          chainType: 'evm',
+          destinationAddress: '0x20E68F6c276AC6E297aC46c84Ab260928276691D',
+          type: 3,
+          destinationChain: 'Ethereum',
+          payload: [],
+          amount: 1n,
+        },
+      ],
+    },
     proposal: {
       give: { BLD: { brand: BLD, value: 1n } },
     },
@@ -318,7 +324,7 @@ test.serial('token transfers using lca', async (t) => {
   t.like(wallet.getLatestUpdateRecord(), {
     status: {
       id: `evmTransaction${evmTransactionCounter - 1}`,
-      result: 'sendGmp successful',
+      result: { nonces: [1n] },
     },
   });
 
@@ -328,14 +334,19 @@ test.serial('token transfers using lca', async (t) => {
     makeEVMTransaction({
       wallet,
       previousOffer,
-      methodName: 'sendGmp',
-      offerArgs: [
-        {
-          destinationAddress: '0x20E68F6c276AC6E297aC46c84Ab260928276691D',
-          type: 3,
-          destinationEVMChain: 'Ethereum',
-        },
-      ],
+      invitationMakerName: 'SendTransactions',
+      offerArgs: {
+        messages: [
+          {
+            chainType: 'evm',
+            destinationAddress: '0x20E68F6c276AC6E297aC46c84Ab260928276691D',
+            type: 3,
+            destinationChain: 'Ethereum',
+            payload: [],
+            amount: 0n,
+          },
+        ],
+      },
       proposal: {
         give: { BLD: { brand: BLD, value: 0n } },
       },
@@ -361,16 +372,20 @@ test.serial('make contract calls using lca', async (t) => {
   await makeEVMTransaction({
     wallet,
     previousOffer,
-    methodName: 'sendGmp',
-    offerArgs: [
-      {
-        destinationAddress: factoryContractAddress,
-        type: 1,
-        gasAmount: 20000,
-        destinationEVMChain: 'Ethereum',
-        contractInvocationData,
-      },
-    ],
+    invitationMakerName: 'SendTransactions',
+    offerArgs: {
+      messages: [
+        {
+          chainType: 'evm',
+          destinationAddress: factoryContractAddress,
+          type: 1,
+          destinationChain: 'Ethereum',
+          payload: buildGMPPayload(contractInvocationData),
+          amount: 1n,
+        },
+      ],
+      gasAmount: 20000,
+    },
     proposal: {
       give: { BLD: { brand: BLD, value: 1n } },
     },
@@ -391,31 +406,35 @@ test.serial('make contract calls using lca', async (t) => {
   t.like(wallet.getLatestUpdateRecord(), {
     status: {
       id: `evmTransaction${evmTransactionCounter - 1}`,
-      result: 'sendGmp successful',
+      result: { nonces: [2n] },
     },
   });
 
-  t.log('make offer without contractInvocationData');
+  t.log('make offer without a payload');
 
   await t.throwsAsync(
     makeEVMTransaction({
       wallet,
       previousOffer,
-      methodName: 'sendGmp',
-      offerArgs: [
-        {
-          destinationAddress: '0x20E68F6c276AC6E297aC46c84Ab260928276691D',
-          type: 1,
-          gasAmount: 20000,
-          destinationEVMChain: 'Ethereum',
-        },
-      ],
+      invitationMakerName: 'SendTransactions',
+      offerArgs: {
+        messages: [
+          {
+            chainType: 'evm',
+            destinationAddress: '0x20E68F6c276AC6E297aC46c84Ab260928276691D',
+            type: 1,
+            destinationChain: 'Ethereum',
+            amount: 1n,
+          },
+        ],
+        gasAmount: 20000,
+      },
       proposal: {
         give: { BLD: { brand: BLD, value: 1n } },
       },
     }),
     {
-      message: /contractInvocationData is not defined/,
+      message: /payload/,
     },
   );
 
@@ -425,25 +444,25 @@ test.serial('make contract calls using lca', async (t) => {
     makeEVMTransaction({
       wallet,
       previousOffer,
-      methodName: 'sendGmp',
-      offerArgs: [
-        {
-          destinationAddress: '0x20E68F6c276AC6E297aC46c84Ab260928276691D',
-          type: 1,
-          destinationEVMChain: 'Ethereum',
-          contractInvocationData: {
-            functionSelector: 'setCount(uint256)',
-            argType: 'uint256',
-            argValue: 234,
+      invitationMakerName: 'SendTransactions',
+      offerArgs: {
+        messages: [
+          {
+            chainType: 'evm',
+            destinationAddress: '0x20E68F6c276AC6E297aC46c84Ab260928276691D',
+            type: 1,
+            destinationChain: 'Ethereum',
+            payload: [],
+            amount: 1n,
           },
-        },
-      ],
+        ],
+      },
       proposal: {
         give: { BLD: { brand: BLD, value: 1n } },
       },
     }),
     {
-      message: /gasAmount must be defined/,
+      message: /gasAmount must be a positive integer/,
     },
   );
 });
@@ -0,0 +1,90 @@
+import test from 'ava';
+import { Far } from '@endo/far';
+import {
+  assertInScope,
+  countSpending,
+  uncountSpending,
+} from 'contract/utils/delegation.js';
+
+const usdc = Far('USDC brand', {});
+const bld = Far('BLD brand', {});
+
+const scope = harden({
+  destinations: [
+    {
+      chain: 'Avalanche',
+      address: '0x20E68F6c276AC6E297aC46c84Ab260928276691D',
+    },
+    { chain: 'osmosis' },
+  ],
+  types: [1],
+  maxAmount: [{ brand: usdc, value: 1_000n }],
+  expiresAt: 1_000n,
+});
+
+const evmMessage = harden({
+  chainType: 'evm',
+  type: 1,
+  destinationChain: 'Avalanche',
+  destinationAddress: '0x20e68f6c276ac6e297ac46c84ab260928276691d',
+  payload: [],
+  amount: 1_000n,
+});
+
+const cosmosMessage = harden({
+  chainType: 'cosmos',
+  destinationChain: 'Osmosis',
+  destinationAddress: 'osmo1yh3ra8eage5xtr9a3m5utg6mx0pmqreytudaqj',
+  amount: 10n,
+});
+
+test('allows messages within the scope', (t) => {
+  t.notThrows(() =>
+    assertInScope(
+      scope,
+      [evmMessage, cosmosMessage],
+      [
+        { brand: usdc, value: 1_000n },
+        { brand: usdc, value: 10n },
+      ],
+    ),
+  );
+});
+
+test('rejects messages outside the scope', (t) => {
+  const amounts = [{ brand: usdc, value: 1n }];
+  t.throws(
+    () =>
+      assertInScope(
+        scope,
+        [{ ...evmMessage, destinationAddress: '0x' + '1'.repeat(40) }],
+        amounts,
+      ),
+    { message: /outside the delegation/ },
+  );
+  t.throws(() => assertInScope(scope, [{ ...evmMessage, type: 2 }], amounts), {
+    message: /has type 2, outside the delegation/,
+  });
+  t.throws(
+    () => assertInScope(scope, [evmMessage], [{ brand: bld, value: 1n }]),
+    { message: /which the delegation does not allow/ },
+  );
+});
+
+test('counts what offers send against the delegation as a whole', (t) => {
+  const spent = countSpending(scope, [], [{ brand: usdc, value: 600n }]);
+  t.deepEqual(spent, [{ brand: usdc, value: 600n }]);
+  t.throws(() => countSpending(scope, spent, [{ brand: usdc, value: 401n }]), {
+    message: /spending to "\[1001n\]" .* over its limit/,
+  });
+  t.throws(() => countSpending(scope, spent, [{ brand: bld, value: 1n }]), {
+    message: /which the delegation does not allow/,
+  });
+
+  const full = countSpending(scope, spent, [
+    { brand: usdc, value: 300n },
+    { brand: usdc, value: 100n },
+  ]);
+  t.deepEqual(full, [{ brand: usdc, value: 1_000n }]);
+  t.deepEqual(uncountSpending(full, [{ brand: usdc, value: 400n }]), spent);
+});
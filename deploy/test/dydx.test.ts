@@ -0,0 +1,48 @@
+import test from 'ava';
+import { decodeBase64 } from '@endo/base64';
+import {
+  MsgDepositToSubaccountTypeUrl,
+  encodeMsgDepositToSubaccount,
+} from 'contract/utils/dydx.js';
+
+test('encodes MsgDepositToSubaccount as protobuf', (t) => {
+  const { typeUrl, value } = encodeMsgDepositToSubaccount({
+    sender: 'a',
+    recipient: { owner: 'b', number: 1 },
+    quantums: 300n,
+  });
+  t.is(typeUrl, MsgDepositToSubaccountTypeUrl);
+  t.deepEqual(
+    [...decodeBase64(value)],
+    [
+      ...[0x0a, 0x01, 0x61], // sender
+      ...[0x12, 0x05, 0x0a, 0x01, 0x62, 0x10, 0x01], // recipient
+      // asset_id 0 (USDC) is the default, so it is left out
+      ...[0x20, 0xac, 0x02], // quantums
+    ],
+  );
+});
+
+test('leaves out subaccount number 0', (t) => {
+  const { value } = encodeMsgDepositToSubaccount({
+    sender: 'a',
+    recipient: { owner: 'b', number: 0 },
+    quantums: 1n,
+  });
+  t.deepEqual(
+    [...decodeBase64(value)],
+    [0x0a, 0x01, 0x61, 0x12, 0x03, 0x0a, 0x01, 0x62, 0x20, 0x01],
+  );
+});
+
+test('rejects an empty deposit', (t) => {
+  t.throws(
+    () =>
+      encodeMsgDepositToSubaccount({
+        sender: 'a',
+        recipient: { owner: 'b', number: 0 },
+        quantums: 0n,
+      }),
+    { message: /greater than zero/ },
+  );
+});
@@ -0,0 +1,20 @@
+// @ts-nocheck
+// Fixture: the chain names of the first release (the baseline commit), for
+// the upgrade test. Do not update it with the contract.
+
+export const COSMOS_CHAINS = {
+  Osmosis: 'osmosis',
+  Dydx: 'dydx',
+  Axelar: 'axelar',
+};
+
+export const ActiveChainType = {
+  EVM: 'evm',
+  COSMOS: 'cosmos',
+};
+
+export const EVM_CHAINS = {
+  Avalanche: 'Avalanche',
+  Base: 'base-sepolia',
+  Ethereum: 'ethereum-sepolia',
+};
@@ -0,0 +1,81 @@
+// @ts-nocheck
+// Fixture: the GMP helpers of the first release (the baseline commit), for
+// the upgrade test. Do not update it with the contract.
+
+import { encodeFunctionData, encodeAbiParameters, hexToBytes } from 'viem';
+
+/**
+ * @import {ContractCall, AbiEncodedContractCall} from '../types';
+ * @import {Bech32Address} from '@agoric/orchestration';
+ */
+
+export const AxelarGMPMessageType = /** @type {const} */ ({
+  MESSAGE_ONLY: 1,
+  MESSAGE_WITH_TOKEN: 2,
+  TOKEN_ONLY: 3,
+});
+harden(AxelarGMPMessageType);
+
+/** @type {{ AXELAR_GMP: Bech32Address, AXELAR_GAS: Bech32Address, OSMOSIS_RECEIVER: Bech32Address }} */
+export const gmpAddresses = {
+  AXELAR_GMP:
+    'axelar1dv4u5k73pzqrxlzujxg3qp8kvc3pje7jtdvu72npnt5zhq05ejcsn5qme5',
+  AXELAR_GAS: 'axelar1zl3rxpp70lmte2xr6c4lgske2fyuj3hupcsvcd',
+  OSMOSIS_RECEIVER: 'osmo1yh3ra8eage5xtr9a3m5utg6mx0pmqreytudaqj',
+};
+
+/**
+ * Constructs a contract call object with ABI encoding.
+ * @param {ContractCall} data - The data for the contract call.
+ * @returns {AbiEncodedContractCall} The encoded contract call object.
+ */
+export const constructContractCall = ({ target, functionSignature, args }) => {
+  const [name, paramsRaw] = functionSignature.split('(');
+  const params = paramsRaw.replace(')', '').split(',').filter(Boolean);
+
+  return {
+    target,
+    data: encodeFunctionData({
+      abi: [
+        {
+          type: 'function',
+          name,
+          inputs: params.map((type, i) => ({ type, name: `arg${i}` })),
+        },
+      ],
+      functionName: name,
+      args,
+    }),
+  };
+};
+
+/**
+ * Builds a GMP payload from an array of contract calls.
+ *
+ * @param {Array<ContractCall>} contractCalls - Array of contract call objects.
+ * @returns {Array<number>} The GMP payload object.
+ */
+export const buildGMPPayload = (contractCalls) => {
+  let abiEncodedContractCalls = [];
+  for (let call of contractCalls) {
+    const { target, functionSignature, args } = call;
+    abiEncodedContractCalls.push(
+      constructContractCall({ target, functionSignature, args }),
+    );
+  }
+
+  const abiEncodedData = encodeAbiParameters(
+    [
+      {
+        type: 'tuple[]',
+        components: [
+          { name: 'target', type: 'address' },
+          { name: 'data', type: 'bytes' },
+        ],
+      },
+    ],
+    [abiEncodedContractCalls],
+  );
+
+  return Array.from(hexToBytes(abiEncodedData));
+};
@@ -0,0 +1,93 @@
+import test from 'ava';
+import { encodeAbiParameters } from 'viem';
+import {
+  appendNonce,
+  buildGMPPayload,
+  decodeAgoricResponse,
+  decodeGMPPayload,
+  mergeGMPPayloads,
+  parseIncomingMemo,
+  splitCallResults,
+  splitNonce,
+} from 'contract/utils/gmp.js';
+import { makeReceiveUpCallPayload } from './utils/makeReceiveUpCallPayload.js';
+
+test('decodeAgoricResponse round-trips makeReceiveUpCallPayload', (t) => {
+  const encodedAddress = encodeAbiParameters(
+    [{ type: 'address' }],
+    ['0x126cf3AC9ea12794Ff50f56727C7C66E26D9C092'],
+  );
+  const response = {
+    isContractCallResult: true,
+    data: [
+      { success: true, result: encodedAddress },
+      { success: false, result: '0x' as const },
+    ],
+  };
+
+  t.deepEqual(
+    decodeAgoricResponse(makeReceiveUpCallPayload(response)),
+    response,
+  );
+});
+
+test('parseIncomingMemo ignores non-GMP memos', (t) => {
+  t.is(parseIncomingMemo(undefined), undefined);
+  t.is(parseIncomingMemo(''), undefined);
+  t.is(parseIncomingMemo('not json'), undefined);
+  t.is(parseIncomingMemo('{}'), undefined);
+  t.is(
+    parseIncomingMemo(
+      JSON.stringify({
+        destination_chain: 'Ethereum',
+        destination_address: '0x20E68F6c276AC6E297aC46c84Ab260928276691D',
+        payload: null,
+        type: 3,
+      }),
+    ),
+    undefined,
+  );
+
+  const memo = {
+    source_chain: 'Ethereum',
+    source_address: '0x19e71e7eE5c2b13eF6bd52b9E3b437bdCc7d43c8',
+    payload: 'AA==',
+    type: 1,
+  };
+  t.deepEqual(parseIncomingMemo(JSON.stringify(memo)), memo);
+});
+
+test('mergeGMPPayloads concatenates calls and splitCallResults undoes it', (t) => {
+  const target = '0x20E68F6c276AC6E297aC46c84Ab260928276691D' as const;
+  const first = buildGMPPayload([
+    { target, functionSignature: 'setValue(uint256)', args: [1n] },
+  ]);
+  const second = buildGMPPayload([
+    { target, functionSignature: 'setValue(uint256)', args: [2n] },
+    { target, functionSignature: 'reset()', args: [] },
+  ]);
+
+  const { payload, callCounts } = mergeGMPPayloads([first, second]);
+  t.deepEqual(callCounts, [1, 2]);
+  t.deepEqual(decodeGMPPayload(payload), [
+    ...decodeGMPPayload(first),
+    ...decodeGMPPayload(second),
+  ]);
+
+  const ok = { success: true, result: '0x' as const };
+  const failed = { success: false, result: '0x' as const };
+  t.deepEqual(splitCallResults([ok, failed, ok], callCounts), [
+    [ok],
+    [failed, ok],
+  ]);
+  t.is(splitCallResults([ok], callCounts), undefined);
+});
+
+test('appendNonce adds a uint256 that splitNonce reads back', (t) => {
+  const payload = [1, 2, 3];
+  const withNonce = appendNonce(payload, 258n);
+  t.is(withNonce.length, 35);
+  t.deepEqual(withNonce.slice(-2), [1, 2]);
+  t.deepEqual(splitNonce(withNonce), { payload, nonce: 258n });
+  t.throws(() => splitNonce(payload), { message: /has no nonce/ });
+});
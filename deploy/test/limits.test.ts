@@ -0,0 +1,59 @@
+import test from 'ava';
+import { Far } from '@endo/far';
+import {
+  DAY_SECONDS,
+  checkLimits,
+  uncountSends,
+} from 'contract/utils/limits.js';
+
+const brand = Far('USDC brand', {});
+const other = Far('BLD brand', {});
+const usdc = (value: bigint) => ({ brand, value });
+
+test('rejects a message over the per-message limit', (t) => {
+  const limits = { maxPerMessage: [usdc(100n)] };
+  t.throws(() => checkLimits(limits, [], 0n, [usdc(50n), usdc(101n)]), {
+    message: /message 1 sends .* over the limit/,
+  });
+  t.deepEqual(
+    checkLimits(limits, [], 0n, [usdc(100n), { brand: other, value: 500n }]),
+    [],
+    'other brands are not limited, and nothing is kept without a window',
+  );
+});
+
+test('daily cap reports what is left', (t) => {
+  const limits = { dailyCap: [usdc(1_000n)] };
+  const recent = checkLimits(limits, [], 1_000n, [usdc(700n)]);
+  t.deepEqual(recent, [{ at: 1_000n, amount: usdc(700n) }]);
+  t.throws(() => checkLimits(limits, recent, 2_000n, [usdc(301n)]), {
+    message: /only {"brand":.*"value":"\[300n\]"} is left of the daily cap/,
+  });
+  t.notThrows(() => checkLimits(limits, recent, 2_000n, [usdc(300n)]));
+});
+
+test('daily cap rolls over after 24 hours', (t) => {
+  const limits = { dailyCap: [usdc(1_000n)] };
+  const recent = checkLimits(limits, [], 0n, [usdc(1_000n)]);
+  t.throws(() => checkLimits(limits, recent, DAY_SECONDS - 1n, [usdc(1n)]));
+  t.deepEqual(checkLimits(limits, recent, DAY_SECONDS, [usdc(1n)]), [
+    { at: DAY_SECONDS, amount: usdc(1n) },
+  ]);
+});
+
+test('rate limits the messages in a window', (t) => {
+  const limits = { rate: { maxMessages: 3, windowSeconds: 60n } };
+  const recent = checkLimits(limits, [], 0n, [usdc(1n), usdc(1n)]);
+  t.throws(() => checkLimits(limits, recent, 30n, [usdc(1n), usdc(1n)]), {
+    message: /only 1 more are allowed within "\[60n\]" seconds/,
+  });
+  t.is(checkLimits(limits, recent, 60n, [usdc(1n), usdc(1n)]).length, 2);
+});
+
+test('uncounts only the sends of the failed offer', (t) => {
+  const limits = { rate: { maxMessages: 5, windowSeconds: 60n } };
+  const earlier = checkLimits(limits, [], 0n, [usdc(1n)]);
+  const concurrent = checkLimits(limits, earlier, 10n, [usdc(2n)]);
+  const failed = checkLimits(limits, concurrent, 10n, [usdc(2n), usdc(3n)]);
+  t.deepEqual(uncountSends(failed, 10n, [usdc(2n), usdc(3n)]), concurrent);
+});
@@ -0,0 +1,66 @@
+import test from 'ava';
+import { buildOsmosisSwapMemo } from 'contract/utils/osmosis.js';
+import { gmpAddresses } from 'contract/utils/gmp.js';
+
+const receiver = 'osmo1yh3ra8eage5xtr9a3m5utg6mx0pmqreytudaqj';
+
+test('builds a crosschain-swaps wasm hook memo', (t) => {
+  t.deepEqual(
+    buildOsmosisSwapMemo({
+      outputDenom: 'uosmo',
+      slippage: { twap: { slippagePercentage: 5, windowSeconds: 30 } },
+      receiver,
+      nonce: 7n,
+    }),
+    {
+      wasm: {
+        contract: gmpAddresses.OSMOSIS_RECEIVER,
+        msg: {
+          osmosis_swap: {
+            output_denom: 'uosmo',
+            slippage: {
+              twap: { slippage_percentage: '5', window_seconds: 30 },
+            },
+            receiver,
+            on_failed_delivery: 'do_nothing',
+            next_memo: { nonce: '7' },
+          },
+        },
+      },
+    },
+  );
+});
+
+test('min output, recovery address and next memo', (t) => {
+  const nextMemo = { destination_chain: 'Avalanche', type: 3 };
+  const { wasm } = buildOsmosisSwapMemo({
+    outputDenom: 'ibc/USDC',
+    slippage: { minOutputAmount: 1_000n },
+    receiver: 'axelar1zl3rxpp70lmte2xr6c4lgske2fyuj3hupcsvcd',
+    recoveryAddress: receiver,
+    nextMemo,
+    nonce: 7n,
+  });
+  t.deepEqual(wasm.msg.osmosis_swap.slippage, { min_output_amount: '1000' });
+  t.deepEqual(wasm.msg.osmosis_swap.on_failed_delivery, {
+    local_recovery_addr: receiver,
+  });
+  t.deepEqual(wasm.msg.osmosis_swap.next_memo, { ...nextMemo, nonce: '7' });
+});
+
+test('rejects out-of-range slippage', (t) => {
+  t.throws(() =>
+    buildOsmosisSwapMemo({
+      outputDenom: 'uosmo',
+      slippage: { twap: { slippagePercentage: 150, windowSeconds: 30 } },
+      receiver,
+    }),
+  );
+  t.throws(() =>
+    buildOsmosisSwapMemo({
+      outputDenom: 'uosmo',
+      slippage: { minOutputAmount: 0n },
+      receiver,
+    }),
+  );
+});
@@ -0,0 +1,40 @@
+import test from 'ava';
+import { buildForwardMemo } from 'contract/utils/pfm.js';
+import { gmpAddresses } from 'contract/utils/gmp.js';
+
+test('wraps the next memo in a forward', (t) => {
+  const gmpMemo = {
+    destination_chain: 'Avalanche',
+    destination_address: '0x20E68F6c276AC6E297aC46c84Ab260928276691D',
+    payload: [1, 2],
+    type: 1,
+  };
+  const memo = buildForwardMemo({
+    receiver: gmpAddresses.AXELAR_GMP,
+    channel: 'channel-4118',
+    next: gmpMemo,
+  });
+  t.deepEqual(memo, {
+    forward: {
+      receiver: gmpAddresses.AXELAR_GMP,
+      port: 'transfer',
+      channel: 'channel-4118',
+      timeout: '10m',
+      retries: 2,
+      next: JSON.stringify(gmpMemo),
+    },
+  });
+});
+
+test('overrides timeout and retries, and may omit next', (t) => {
+  const { forward } = buildForwardMemo({
+    receiver: 'osmo1yh3ra8eage5xtr9a3m5utg6mx0pmqreytudaqj',
+    port: 'transfer',
+    channel: 'channel-1',
+    timeout: '30m',
+    retries: 0,
+  });
+  t.is(forward.timeout, '30m');
+  t.is(forward.retries, 0);
+  t.false('next' in forward);
+});
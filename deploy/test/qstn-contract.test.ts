@@ -0,0 +1,1115 @@
+import { test as anyTest } from '@agoric/zoe/tools/prepare-test-env-ava.js';
+import type { ExecutionContext, TestFn } from 'ava';
+import { eventLoopIteration } from '@agoric/internal/src/testing-utils.js';
+import { makeTestAddress } from '@agoric/orchestration/tools/make-test-address.js';
+import { heapVowE } from '@agoric/vow/vat.js';
+import { E } from '@endo/far';
+import {
+  buildGMPPayload,
+  decodeGMPPayload,
+  gmpAddresses,
+  mergeGMPPayloads,
+  splitNonce,
+} from 'contract/utils/gmp.js';
+import { makeReceiveUpCallPayload } from './utils/makeReceiveUpCallPayload.js';
+import {
+  chainInfo,
+  DENOMS,
+  makeQstnContext,
+  type QstnContext,
+} from './utils/qstn-context.js';
+
+type Context = QstnContext & {
+  account: Awaited<ReturnType<QstnContext['makeAccount']>>;
+};
+
+const test = anyTest as TestFn<Context>;
+
+test.beforeEach(async (t) => {
+  const ctx = await makeQstnContext();
+  t.context = { ...ctx, account: await ctx.makeAccount() };
+});
+
+const EVM_ADDRESS = '0x20E68F6c276AC6E297aC46c84Ab260928276691D';
+
+const evmMessage = (amount: bigint, overrides: Record<string, unknown> = {}) =>
+  harden({
+    chainType: 'evm',
+    type: 3,
+    destinationChain: 'Avalanche',
+    destinationAddress: EVM_ADDRESS,
+    payload: [],
+    amount,
+    ...overrides,
+  });
+
+const sendTransactions = async (
+  t: ExecutionContext<Context>,
+  give: Record<string, unknown>,
+  offerArgs: Record<string, unknown>,
+) => {
+  const { account, offer } = t.context;
+  const invitation = await E(account.invitationMakers).SendTransactions();
+  return offer(invitation, { give }, offerArgs);
+};
+
+test('each message sends its own amount', async (t) => {
+  const { account, make } = t.context;
+
+  const { result } = await sendTransactions(
+    t,
+    { BLD: make('BLD', 100n) },
+    { messages: [evmMessage(60n), evmMessage(40n)] },
+  );
+
+  t.deepEqual(result, { nonces: [1n, 2n] });
+  t.deepEqual(
+    account.lca.transfers.map(({ denom, value }) => ({ denom, value })),
+    [
+      { denom: DENOMS.BLD, value: 60n },
+      { denom: DENOMS.BLD, value: 40n },
+    ],
+  );
+});
+
+test('messages draw from the keyword they name', async (t) => {
+  const { account, make } = t.context;
+  const give = { BLD: make('BLD', 10n), USDC: make('USDC', 5n) };
+
+  await t.throwsAsync(
+    sendTransactions(t, give, {
+      messages: [evmMessage(10n), evmMessage(5n)],
+    }),
+    { message: /message 0 must name one of the keywords/ },
+  );
+
+  await sendTransactions(t, give, {
+    messages: [
+      evmMessage(5n, { keyword: 'USDC' }),
+      evmMessage(10n, { keyword: 'BLD' }),
+    ],
+  });
+  t.deepEqual(
+    account.lca.transfers.map(({ denom, value }) => ({ denom, value })),
+    [
+      { denom: DENOMS.USDC, value: 5n },
+      { denom: DENOMS.BLD, value: 10n },
+    ],
+  );
+});
+
+test('rejects messages that do not add up to the give', async (t) => {
+  const { account, make, makeOffer, getPayouts } = t.context;
+
+  const seat = await makeOffer(
+    await E(account.invitationMakers).SendTransactions(),
+    { give: { BLD: make('BLD', 100n) } },
+    { messages: [evmMessage(60n), evmMessage(30n)] },
+  );
+
+  await t.throwsAsync(E(seat).getOfferResult(), {
+    message: /messages send .* of "BLD" but the offer gives/,
+  });
+  t.deepEqual(await getPayouts(seat), { BLD: make('BLD', 100n) });
+  t.deepEqual(account.lca.transfers, []);
+});
+
+test('a message the LCA cannot send fails before funds move', async (t) => {
+  const { account, make, makeOffer, getPayouts } = t.context;
+  const give = { BLD: make('BLD', 10n), ATOM: make('ATOM', 5n) };
+
+  const seat = await makeOffer(
+    await E(account.invitationMakers).SendTransactions(),
+    { give },
+    {
+      messages: [
+        evmMessage(10n, { keyword: 'BLD' }),
+        evmMessage(5n, { keyword: 'ATOM' }),
+      ],
+    },
+  );
+
+  await t.throwsAsync(E(seat).getOfferResult(), {
+    message: /not registered in vbank/,
+  });
+  t.deepEqual(await getPayouts(seat), give);
+  t.deepEqual(account.lca.balance(t.context.brands.BLD), make('BLD', 0n));
+  t.deepEqual(account.lca.transfers, []);
+});
+
+test('sends gas given as Gas on top of the amounts', async (t) => {
+  const { account, make, readLatest } = t.context;
+  const contractCall = (amount: bigint) =>
+    evmMessage(amount, { type: 1, payload: [1, 2, 3], keyword: 'AXL' });
+
+  await t.throwsAsync(
+    sendTransactions(
+      t,
+      { AXL: make('AXL', 50n), Gas: make('AXL', 10n) },
+      { messages: [contractCall(50n)], gasAmount: 20 },
+    ),
+    { message: /"Gas" must be gasAmount for each of the 1 transfers/ },
+  );
+  await t.throwsAsync(
+    sendTransactions(
+      t,
+      { AXL: make('AXL', 50n), Gas: make('BLD', 20n) },
+      { messages: [contractCall(50n)], gasAmount: 20 },
+    ),
+    { message: /Axelar does not accept "ubld" for gas/ },
+  );
+  t.deepEqual(account.lca.transfers, []);
+
+  await sendTransactions(
+    t,
+    { AXL: make('AXL', 50n), Gas: make('AXL', 20n) },
+    { messages: [contractCall(50n)], gasAmount: 20 },
+  );
+  t.like(account.lca.transfers, [{ denom: DENOMS.AXL, value: 70n }]);
+  t.like(JSON.parse(account.lca.transfers[0].memo), {
+    fee: { amount: '20' },
+  });
+  t.like(readLatest(`accounts.${account.address}.messages.1`), {
+    amount: make('AXL', 50n),
+    gas: make('AXL', 20n),
+  });
+});
+
+test('creator opens remote channels at runtime', async (t) => {
+  const { account, creatorFacet, make, readLatest, loggedKinds } = t.context;
+  const toNoble = harden({
+    chainType: 'cosmos',
+    destinationChain: 'noble',
+    destinationAddress: makeTestAddress(0, 'noble'),
+    amount: 10n,
+  });
+
+  t.deepEqual(
+    Object.keys(
+      readLatest(`accounts.${account.address}`).remoteChannels,
+    ).sort(),
+    ['axelar', 'dydx', 'osmosis'],
+  );
+  await t.throwsAsync(
+    sendTransactions(t, { BLD: make('BLD', 10n) }, { messages: [toNoble] }),
+    { message: /No remote channel registered for "noble"/ },
+  );
+
+  await heapVowE.when(E(creatorFacet).registerRemoteChannel('noble'));
+  t.true(loggedKinds().includes('remoteChannelRegistered'));
+
+  await sendTransactions(t, { BLD: make('BLD', 10n) }, { messages: [toNoble] });
+  t.like(account.lca.transfers, [
+    {
+      destination: {
+        value: toNoble.destinationAddress,
+        chainId: chainInfo.noble.chainId,
+      },
+      value: 10n,
+    },
+  ]);
+});
+
+test('forwards GMP transfers to Axelar through a registered hop', async (t) => {
+  const { account, creatorFacet, make, loggedKinds } = t.context;
+  const viaOsmosis = (amount: bigint, keyword: string) =>
+    evmMessage(amount, { route: 'osmosis', keyword });
+  const give = { BLD: make('BLD', 10n), AXL: make('AXL', 5n) };
+
+  await t.throwsAsync(
+    sendTransactions(t, give, {
+      messages: [viaOsmosis(10n, 'BLD'), evmMessage(5n, { keyword: 'AXL' })],
+    }),
+    { message: /No GMP route registered via "osmosis"/ },
+  );
+
+  await heapVowE.when(E(creatorFacet).registerGmpRoute('osmosis'));
+  await eventLoopIteration();
+  t.true(loggedKinds().includes('gmpRouteRegistered'));
+
+  // AXL is issued on Axelar, so the LCA would forward it there on its own
+  await t.throwsAsync(
+    sendTransactions(t, give, {
+      messages: [viaOsmosis(10n, 'BLD'), viaOsmosis(5n, 'AXL')],
+    }),
+    {
+      message:
+        /"ibc\/2CC0.*" is issued on "axelar", so it cannot be forwarded via "osmosis"/,
+    },
+  );
+  t.deepEqual(account.lca.transfers, []);
+
+  await sendTransactions(t, give, {
+    messages: [viaOsmosis(10n, 'BLD'), evmMessage(5n, { keyword: 'AXL' })],
+  });
+  const [hop, direct] = account.lca.transfers;
+  t.like(hop, {
+    destination: { value: 'pfm', chainId: chainInfo.osmosis.chainId },
+    denom: DENOMS.BLD,
+    value: 10n,
+  });
+  const { forward, nonce } = JSON.parse(hop.memo);
+  t.is(nonce, '1');
+  t.like(forward, {
+    receiver: gmpAddresses.AXELAR_GMP,
+    port: 'transfer',
+    channel: 'channel-208',
+  });
+  t.like(JSON.parse(forward.next), {
+    destination_chain: 'Avalanche',
+    destination_address: EVM_ADDRESS,
+    type: 3,
+    nonce: '1',
+  });
+  t.like(direct, {
+    destination: {
+      value: gmpAddresses.AXELAR_GMP,
+      chainId: chainInfo.axelar.chainId,
+    },
+  });
+});
+
+test('batch merges the calls to each destination into one transfer', async (t) => {
+  const { account, make, readLatest } = t.context;
+  const setValue = (n: bigint) => ({
+    target: EVM_ADDRESS,
+    functionSignature: 'setValue(uint256)',
+    args: [n],
+  });
+  const first = buildGMPPayload([setValue(1n)]);
+  const second = buildGMPPayload([setValue(2n), setValue(3n)]);
+  const call = (payload: number[], overrides = {}) =>
+    evmMessage(10n, { type: 1, payload, ...overrides });
+
+  await t.throwsAsync(
+    sendTransactions(
+      t,
+      { BLD: make('BLD', 20n) },
+      { messages: [call(first), call([1, 2, 3])], gasAmount: 5, batch: true },
+    ),
+    { message: /message 1 cannot be merged: its payload is not a list/ },
+  );
+  t.deepEqual(account.lca.transfers, []);
+
+  const { result } = await sendTransactions(
+    t,
+    { BLD: make('BLD', 30n) },
+    {
+      messages: [
+        call(first),
+        call(second),
+        call(first, { destinationChain: 'Ethereum' }),
+      ],
+      gasAmount: 5,
+      batch: true,
+    },
+  );
+  t.deepEqual(result, { nonces: [1n, 1n, 2n] });
+
+  t.is(account.lca.transfers.length, 2);
+  const [merged, single] = account.lca.transfers;
+  t.is(merged.value, 20n);
+  const memo = JSON.parse(merged.memo);
+  t.deepEqual(splitNonce(memo.payload), {
+    payload: mergeGMPPayloads([first, second]).payload,
+    nonce: 1n,
+  });
+  t.like(memo, { fee: { amount: '5' }, destination_chain: 'Avalanche' });
+  t.like(JSON.parse(single.memo), { destination_chain: 'Ethereum' });
+
+  const ok = { success: true, result: '0x' as const };
+  const failed = { success: false, result: '0x' as const };
+  await account.lca.upcall('writeAcknowledgement', {
+    memo: JSON.stringify({
+      source_chain: 'Avalanche',
+      source_address: EVM_ADDRESS,
+      payload: makeReceiveUpCallPayload({
+        isContractCallResult: true,
+        data: [ok, failed, ok],
+      }),
+      type: 1,
+    }),
+  });
+  await eventLoopIteration();
+  t.like(readLatest(`accounts.${account.address}.messages.1`), {
+    callCounts: [1, 2],
+    results: [[ok], [failed, ok]],
+  });
+});
+
+test('GetNonce reports the nonce carried in the latest memo', async (t) => {
+  const { account, make, offer } = t.context;
+  const getNonce = async () =>
+    (await offer(await E(account.invitationMakers).GetNonce())).result;
+
+  t.is(await getNonce(), 0n);
+
+  const { result } = await sendTransactions(
+    t,
+    { BLD: make('BLD', 30n) },
+    { messages: [evmMessage(10n), evmMessage(20n)] },
+  );
+  t.deepEqual(result, { nonces: [1n, 2n] });
+  t.deepEqual(
+    account.lca.transfers.map(({ memo }) => JSON.parse(memo).nonce),
+    ['1', '2'],
+  );
+  t.is(await getNonce(), 2n);
+});
+
+test('a contract call carries its nonce at the end of its payload', async (t) => {
+  const { account, make } = t.context;
+  const payload = buildGMPPayload([
+    { target: EVM_ADDRESS, functionSignature: 'reset()', args: [] },
+  ]);
+
+  await sendTransactions(
+    t,
+    { BLD: make('BLD', 30n) },
+    {
+      messages: [evmMessage(10n), evmMessage(20n, { type: 1, payload })],
+      gasAmount: 5,
+    },
+  );
+
+  const [tokenOnly, call] = account.lca.transfers.map(({ memo }) =>
+    JSON.parse(memo),
+  );
+  t.deepEqual(tokenOnly.payload, []);
+  t.deepEqual(splitNonce(call.payload), { payload, nonce: 2n });
+  t.deepEqual(decodeGMPPayload(call.payload), decodeGMPPayload(payload));
+});
+
+test('publishes account status and messages to vstorage', async (t) => {
+  const { account, make, readLatest } = t.context;
+  const accountPath = `accounts.${account.address}`;
+
+  t.like(readLatest(accountPath), {
+    lcaAddress: account.address,
+    nonce: 0n,
+    pendingMessages: [],
+    responseCount: 0n,
+    withdrawable: [],
+  });
+
+  await sendTransactions(
+    t,
+    { BLD: make('BLD', 10n) },
+    { messages: [evmMessage(10n)] },
+  );
+
+  t.like(readLatest(accountPath), { nonce: 1n, pendingMessages: [1n] });
+  t.like(readLatest(`${accountPath}.messages.1`), {
+    nonce: 1n,
+    chainType: 'evm',
+    destinationChain: 'Avalanche',
+    destinationAddress: EVM_ADDRESS,
+    type: 3,
+    amount: make('BLD', 10n),
+    status: 'pending',
+  });
+});
+
+test('each transfer times out as its message, offer or creator says', async (t) => {
+  const { account, creatorFacet, make, readLatest, timer } = t.context;
+  const seconds = (n: bigint) => n * 1_000_000_000n;
+  await timer.advanceBy(100n);
+
+  await sendTransactions(
+    t,
+    { BLD: make('BLD', 30n) },
+    { messages: [evmMessage(10n), evmMessage(20n, { timeoutSeconds: 30n })] },
+  );
+  await sendTransactions(
+    t,
+    { BLD: make('BLD', 10n) },
+    { messages: [evmMessage(10n)], timeoutSeconds: 60n },
+  );
+  await E(creatorFacet).setDefaultTimeout(90n);
+  await sendTransactions(
+    t,
+    { BLD: make('BLD', 10n) },
+    { messages: [evmMessage(10n)] },
+  );
+
+  const expected = [300n, 30n, 60n, 90n];
+  t.deepEqual(
+    account.lca.transfers.map(({ timeoutTimestamp }) => timeoutTimestamp),
+    expected.map((timeout) => seconds(100n + timeout)),
+  );
+  for (const [i, timeoutSeconds] of expected.entries()) {
+    t.like(readLatest(`accounts.${account.address}.messages.${i + 1}`), {
+      timeoutSeconds,
+      timeoutTimestamp: seconds(100n + timeoutSeconds),
+    });
+  }
+});
+
+test('publishes a zero service fee until the creator sets one', async (t) => {
+  const { brands, creatorFacet, readLatest } = t.context;
+
+  t.deepEqual(readLatest('serviceFee'), {
+    brand: brands.USDC,
+    flat: 0n,
+    basisPoints: 0n,
+  });
+
+  const fee = { brand: brands.BLD, flat: 5n, basisPoints: 0n };
+  await E(creatorFacet).setServiceFee(fee);
+  await eventLoopIteration();
+  t.deepEqual(readLatest('serviceFee'), fee);
+});
+
+test('charges the service fee and pays it out to the creator', async (t) => {
+  const { account, brands, creatorFacet, getPayouts, make, makeOffer, offer } =
+    t.context;
+  await E(creatorFacet).setServiceFee({
+    brand: brands.USDC,
+    flat: 2n,
+    basisPoints: 100n,
+  });
+  const send = (fee: bigint) =>
+    makeOffer(
+      E(account.invitationMakers).SendTransactions(),
+      {
+        give: {
+          USDC: make('USDC', 1000n),
+          BLD: make('BLD', 10n),
+          Fee: make('USDC', fee),
+        },
+      },
+      {
+        messages: [
+          evmMessage(1000n, { keyword: 'USDC' }),
+          evmMessage(10n, { keyword: 'BLD' }),
+        ],
+      },
+    );
+
+  // 2 for each of the two messages, and 1% of the 1000 USDC
+  const short = await send(13n);
+  await t.throwsAsync(E(short).getOfferResult(), {
+    message: /must give a service fee of .*"value":"\[14n\]"/,
+  });
+
+  const seat = await send(20n);
+  await E(seat).getOfferResult();
+  t.like(await getPayouts(seat), {
+    Fee: make('USDC', 6n),
+    USDC: make('USDC', 0n),
+  });
+  t.like(account.lca.transfers, [{ value: 1000n }, { value: 10n }]);
+
+  const { seat: collect, result } = await offer(
+    await E(creatorFacet).makeCollectFeesInvitation(),
+  );
+  t.deepEqual(result, { USDC: make('USDC', 14n) });
+  t.deepEqual(await getPayouts(collect), { USDC: make('USDC', 14n) });
+});
+
+test('logs events in order with their chain time', async (t) => {
+  const { account, make, readAll, timer } = t.context;
+
+  const before = readAll('log').length;
+  await timer.advanceBy(60n);
+  await sendTransactions(
+    t,
+    { BLD: make('BLD', 10n) },
+    { messages: [evmMessage(10n)] },
+  );
+
+  const events = readAll('log');
+  t.deepEqual(
+    events.map(({ id }) => id),
+    events.map((_e, i) => BigInt(i)),
+  );
+  const sent = events.slice(before);
+  t.like(sent, [
+    { kind: 'transactionsReceived' },
+    {
+      kind: 'transferInitiated',
+      account: account.address,
+      messageId: 1n,
+      detail: { value: 10n },
+    },
+  ]);
+  const [first] = events;
+  for (const { timestamp } of sent) {
+    t.true(timestamp.absValue >= first.timestamp.absValue + 60n);
+  }
+});
+
+test('records the outcome and sequence of each transfer', async (t) => {
+  const { account, make, readLatest, loggedKinds } = t.context;
+  const messagePath = (nonce: number) =>
+    `accounts.${account.address}.messages.${nonce}`;
+
+  await sendTransactions(
+    t,
+    { BLD: make('BLD', 30n) },
+    { messages: [evmMessage(10n), evmMessage(20n)] },
+  );
+  const [done, late] = account.lca.transfers;
+
+  await account.lca.upcall('acknowledgementPacket', {
+    memo: done.memo,
+    sequence: done.sequence,
+    sourceChannel: 'channel-9',
+  });
+  done.settle();
+  late.settle('packet timeout');
+  await eventLoopIteration();
+
+  t.like(readLatest(messagePath(1)), {
+    status: 'completed',
+    sequence: done.sequence,
+    sourceChannel: 'channel-9',
+  });
+  t.like(readLatest(messagePath(2)), {
+    status: 'timeout',
+    error: 'packet timeout',
+  });
+  t.like(readLatest(`accounts.${account.address}`), { pendingMessages: [] });
+  t.true(loggedKinds().includes('messageCompleted'));
+  t.true(loggedKinds().includes('messageTimedOut'));
+});
+
+test('swaps on Osmosis with the nonce in the memo of the output', async (t) => {
+  const { account, make, readLatest } = t.context;
+  const receiver = makeTestAddress(0, 'noble');
+
+  await sendTransactions(
+    t,
+    { BLD: make('BLD', 10n) },
+    {
+      messages: [
+        {
+          chainType: 'cosmos',
+          destinationChain: 'osmosis',
+          destinationAddress: receiver,
+          amount: 10n,
+          payload: { note: 'hi' },
+          swap: {
+            outputDenom: 'uusdc',
+            slippage: { minOutputAmount: 9n },
+          },
+        },
+      ],
+    },
+  );
+
+  const [transfer] = account.lca.transfers;
+  t.like(transfer, {
+    destination: {
+      value: gmpAddresses.OSMOSIS_RECEIVER,
+      chainId: chainInfo.osmosis.chainId,
+    },
+    value: 10n,
+  });
+  t.deepEqual(JSON.parse(transfer.memo), {
+    wasm: {
+      contract: gmpAddresses.OSMOSIS_RECEIVER,
+      msg: {
+        osmosis_swap: {
+          output_denom: 'uusdc',
+          slippage: { min_output_amount: '9' },
+          receiver,
+          on_failed_delivery: 'do_nothing',
+          next_memo: { note: 'hi', nonce: '1' },
+        },
+      },
+    },
+  });
+
+  await account.lca.upcall('acknowledgementPacket', {
+    memo: transfer.memo,
+    sequence: transfer.sequence,
+  });
+  await eventLoopIteration();
+  t.like(readLatest(`accounts.${account.address}.messages.1`), {
+    sequence: transfer.sequence,
+  });
+});
+
+test('credits a failed transfer to the withdrawable balance', async (t) => {
+  const { account, brands, make, readLatest, loggedKinds } = t.context;
+
+  await sendTransactions(
+    t,
+    { BLD: make('BLD', 30n) },
+    { messages: [evmMessage(10n), evmMessage(20n)] },
+  );
+  const [failed, done] = account.lca.transfers;
+  failed.settle('ABCI code: 5: error handling packet');
+  done.settle();
+  await eventLoopIteration();
+
+  t.like(readLatest(`accounts.${account.address}.messages.1`), {
+    status: 'failed',
+    refund: make('BLD', 10n),
+  });
+  t.deepEqual(readLatest(`accounts.${account.address}`).withdrawable, [
+    make('BLD', 10n),
+  ]);
+  t.deepEqual(account.lca.balance(brands.BLD), make('BLD', 10n));
+  t.true(loggedKinds().includes('refundCredited'));
+});
+
+test('withdraw pays out refunds the LCA holds', async (t) => {
+  const { account, make, makeOffer, getPayouts, readLatest } = t.context;
+
+  await sendTransactions(
+    t,
+    { BLD: make('BLD', 10n) },
+    { messages: [evmMessage(10n)] },
+  );
+  account.lca.transfers[0].settle('ABCI code: 5: error handling packet');
+  await eventLoopIteration();
+
+  const withdraw = async (want: Record<string, unknown>) =>
+    makeOffer(await E(account.invitationMakers).Withdraw(), { want });
+
+  const tooMuch = await withdraw({ A: make('BLD', 6n), B: make('BLD', 6n) });
+  await t.throwsAsync(E(tooMuch).getOfferResult(), {
+    message: /Cannot withdraw "\[12n\]" "ubld"; LCA holds only "\[10n\]"/,
+  });
+  t.deepEqual(await getPayouts(tooMuch), {
+    A: make('BLD', 0n),
+    B: make('BLD', 0n),
+  });
+
+  const seat = await withdraw({ A: make('BLD', 6n), B: make('BLD', 4n) });
+  t.is(await E(seat).getOfferResult(), 'withdraw successful');
+  t.deepEqual(await getPayouts(seat), {
+    A: make('BLD', 6n),
+    B: make('BLD', 4n),
+  });
+  t.deepEqual(readLatest(`accounts.${account.address}`).withdrawable, []);
+});
+
+test('an offer that fails to fund does not count against the limits', async (t) => {
+  const { account, creatorFacet, make } = t.context;
+  await E(creatorFacet).setDefaultLimits({
+    rate: { maxMessages: 1, windowSeconds: 60n },
+  });
+  const send = () =>
+    sendTransactions(
+      t,
+      { BLD: make('BLD', 10n) },
+      { messages: [evmMessage(10n)] },
+    );
+
+  account.lca.failNextDeposit();
+  await t.throwsAsync(send(), { message: /deposit failed/ });
+
+  await send();
+  await t.throwsAsync(send(), {
+    message: /only 0 more are allowed within "\[60n\]" seconds/,
+  });
+});
+
+test('typed invitation makers', async (t) => {
+  const { account, brands, make, offer } = t.context;
+  const makers = account.invitationMakers;
+
+  t.is(
+    (await offer(await E(makers).GetLocalAddress())).result,
+    account.address,
+  );
+
+  await offer(await E(makers).Fund(), { give: { BLD: make('BLD', 10n) } });
+  t.deepEqual(account.lca.balance(brands.BLD), make('BLD', 10n));
+
+  const to = harden({
+    value: makeTestAddress(1),
+    chainId: chainInfo.agoric.chainId,
+    encoding: 'bech32' as const,
+  });
+  const { result } = await offer(
+    await E(makers).Send(to, { denom: DENOMS.BLD, value: 10n }),
+  );
+  t.is(result, 'transfer success');
+
+  await t.throwsAsync(E(makers).Send(to.value, 10n), {
+    message: /"Send" method .* Must be a copyRecord/,
+  });
+});
+
+test('holders make and find the accounts of their owner', async (t) => {
+  const { account, makeAccount, offer, readLatest } = t.context;
+  const makers = account.invitationMakers;
+  const owner = account.address;
+
+  await t.throwsAsync(makeAccount({ owner, label: 'squatter' }), {
+    message: /"owner".* - Must be: {}/,
+  });
+
+  const { result } = await offer(
+    await E(makers).MakeAccount(),
+    {},
+    { label: 'trading' },
+  );
+  const trading = (result as { invitationMakers: any }).invitationMakers;
+  const { result: tradingAddress } = await offer(
+    await E(trading).GetLocalAddress(),
+  );
+
+  await t.throwsAsync(
+    offer(await E(trading).MakeAccount(), {}, { label: 'trading' }),
+    { message: /already has an account labeled "trading"/ },
+  );
+
+  const { result: found } = await offer(await E(trading).GetAccount(owner));
+  t.is((found as { invitationMakers: any }).invitationMakers, makers);
+
+  const accounts = [
+    { label: owner, address: owner },
+    { label: 'trading', address: tradingAddress },
+  ];
+  t.deepEqual((await offer(await E(makers).ListAccounts())).result, accounts);
+  t.deepEqual(readLatest(`owners.${owner}`), { accounts });
+
+  const other = await makeAccount({ label: 'trading' });
+  t.deepEqual(readLatest(`owners.${other.address}`), {
+    accounts: [{ label: 'trading', address: other.address }],
+  });
+});
+
+test('a MakeAccount offer holds its label until its account is made', async (t) => {
+  const { account, accounts, failNextAccount, makeOffer, offer } = t.context;
+  const makers = account.invitationMakers;
+  const made = accounts.size;
+
+  const first = await makeOffer(
+    await E(makers).MakeAccount(),
+    {},
+    { label: 'trading' },
+  );
+  const second = await makeOffer(
+    await E(makers).MakeAccount(),
+    {},
+    { label: 'trading' },
+  );
+  await t.throwsAsync(heapVowE.when(E(second).getOfferResult()), {
+    message: /is already making an account labeled "trading"/,
+  });
+  await heapVowE.when(E(first).getOfferResult());
+  t.is(accounts.size, made + 1);
+
+  failNextAccount();
+  await t.throwsAsync(
+    offer(await E(makers).MakeAccount(), {}, { label: 'savings' }),
+    { message: /account creation failed/ },
+  );
+  await offer(await E(makers).MakeAccount(), {}, { label: 'savings' });
+  t.deepEqual(
+    (await offer(await E(makers).ListAccounts())).result.map(
+      ({ label }) => label,
+    ),
+    [account.address, 'savings', 'trading'],
+  );
+});
+
+test('an operator sends for a holder until the delegation is spent, revoked or expired', async (t) => {
+  const {
+    account: holder,
+    creatorFacet,
+    getPayouts,
+    make,
+    makeAccount,
+    makeOffer,
+    offer,
+    timer,
+  } = t.context;
+  const operator = await makeAccount();
+  const stranger = await makeAccount();
+  const delegate = async (lifetime: bigint) => {
+    const now = await timer.getCurrentTimestamp();
+    const { result } = await offer(
+      await E(holder.invitationMakers).Delegate(operator.address, {
+        destinations: [{ chain: 'Avalanche', address: EVM_ADDRESS }],
+        types: [1],
+        maxAmount: [make('AXL', 100n)],
+        expiresAt: now.absValue + lifetime,
+      }),
+    );
+    return result as bigint;
+  };
+  const sendFor = async (from: typeof operator, id: bigint, amount: bigint) => {
+    const give = { AXL: make('AXL', amount), Gas: make('AXL', 20n) };
+    const seat = await makeOffer(
+      await E(from.invitationMakers).SendTransactionsFor(holder.address, id),
+      { give },
+      {
+        messages: [
+          evmMessage(amount, { type: 1, payload: [1, 2, 3], keyword: 'AXL' }),
+        ],
+        gasAmount: 20,
+      },
+    );
+    return { seat, give };
+  };
+  const rejects = async (
+    from: typeof operator,
+    id: bigint,
+    amount: bigint,
+    reason: RegExp,
+  ) => {
+    const { seat, give } = await sendFor(from, id, amount);
+    await t.throwsAsync(heapVowE.when(E(seat).getOfferResult()), {
+      message: reason,
+    });
+    t.deepEqual(await getPayouts(seat), give);
+  };
+
+  const id = await delegate(100n);
+  await rejects(stranger, id, 10n, /delegation "\[1n\]" is not to/);
+
+  // Gas counts toward the 100 AXL that the delegation allows in all
+  const first = await sendFor(operator, id, 40n);
+  await heapVowE.when(E(first.seat).getOfferResult());
+  // an offer whose funds never leave it spends nothing
+  await E(creatorFacet).pauseSends('incident');
+  await rejects(operator, id, 20n, /paused/);
+  await E(creatorFacet).unpauseSends();
+  await rejects(operator, id, 30n, /spending to "\[110n\]" .* over its limit/);
+  const second = await sendFor(operator, id, 20n);
+  await heapVowE.when(E(second.seat).getOfferResult());
+  t.like(holder.lca.transfers, [
+    { denom: DENOMS.AXL, value: 60n },
+    { denom: DENOMS.AXL, value: 40n },
+  ]);
+  const { result: delegations } = await offer(
+    await E(holder.invitationMakers).ListDelegations(),
+  );
+  t.like(delegations, [{ id, spent: [make('AXL', 100n)] }]);
+
+  await offer(await E(holder.invitationMakers).RevokeDelegation(id));
+  await rejects(operator, id, 10n, /has no delegation "\[1n\]"/);
+
+  const lapsing = await delegate(10n);
+  await timer.advanceBy(10n);
+  await rejects(operator, lapsing, 10n, /delegation "\[2n\]" expired/);
+  t.is(holder.lca.transfers.length, 2);
+});
+
+test('sends only to allowed targets, and never to denied ones', async (t) => {
+  const { account, creatorFacet, getPayouts, make, makeOffer, readLatest } =
+    t.context;
+  const give = { BLD: make('BLD', 10n) };
+  const denied = '0x19e71e7eE5c2b13eF6bd52b9E3b437bdCc7d43c8';
+  const rejects = async (message: unknown, reason: RegExp) => {
+    const seat = await makeOffer(
+      await E(account.invitationMakers).SendTransactions(),
+      { give },
+      { messages: [message] },
+    );
+    await t.throwsAsync(E(seat).getOfferResult(), { message: reason });
+    t.deepEqual(await getPayouts(seat), give);
+  };
+
+  await E(creatorFacet).allowTargets([
+    { chain: 'avalanche', address: EVM_ADDRESS.toLowerCase() },
+  ]);
+  await E(creatorFacet).denyTargets([{ chain: 'AVALANCHE', address: denied }]);
+  await E(creatorFacet).setAllowlistEnforced(true);
+  await eventLoopIteration();
+  t.deepEqual(readLatest('targets'), {
+    allowlistEnforced: true,
+    allowed: { avalanche: [EVM_ADDRESS.toLowerCase()] },
+    denied: { avalanche: [denied.toLowerCase()] },
+  });
+
+  await rejects(
+    evmMessage(10n, { destinationAddress: denied }),
+    /on "avalanche" is denied/,
+  );
+  await rejects(
+    evmMessage(10n, { destinationChain: 'Ethereum' }),
+    /on "ethereum" is not on the allowlist/,
+  );
+  t.deepEqual(account.lca.transfers, []);
+
+  await sendTransactions(t, give, { messages: [evmMessage(10n)] });
+  t.like(account.lca.transfers, [{ value: 10n }]);
+});
+
+test('pauses sends to a chain however messages name it', async (t) => {
+  const { account, creatorFacet, make, readLatest } = t.context;
+  const toOsmosis = (destinationChain: string) =>
+    harden({
+      chainType: 'cosmos',
+      destinationChain,
+      destinationAddress: makeTestAddress(0, 'osmo'),
+      amount: 10n,
+    });
+  const give = { BLD: make('BLD', 10n) };
+
+  await E(creatorFacet).pauseSends('maintenance', 'Osmosis');
+  await eventLoopIteration();
+  t.deepEqual(readLatest('paused').chains, { osmosis: 'maintenance' });
+  for (const name of ['Osmosis', 'osmosis']) {
+    await t.throwsAsync(
+      sendTransactions(t, give, { messages: [toOsmosis(name)] }),
+      { message: /Sends to "osmosis" are paused: "maintenance"/ },
+    );
+  }
+
+  await E(creatorFacet).unpauseSends('osmosis');
+  await eventLoopIteration();
+  t.deepEqual(readLatest('paused').chains, {});
+  await sendTransactions(t, give, { messages: [toOsmosis('Osmosis')] });
+  t.is(account.lca.transfers.length, 1);
+});
+
+test('pauses all sends, and new accounts', async (t) => {
+  const { creatorFacet, make, offer, publicFacet, readLatest } = t.context;
+  const give = { BLD: make('BLD', 10n) };
+
+  await E(creatorFacet).pauseSends('incident');
+  await t.throwsAsync(
+    sendTransactions(t, give, { messages: [evmMessage(10n)] }),
+    { message: /Sends are paused: "incident"/ },
+  );
+
+  const invitation = await E(publicFacet).createAndMonitorLCA();
+  await E(creatorFacet).pauseNewAccounts('incident');
+  await t.throwsAsync(E(publicFacet).createAndMonitorLCA(), {
+    message: /New accounts are paused: "incident"/,
+  });
+  await t.throwsAsync(offer(invitation), {
+    message: /New accounts are paused: "incident"/,
+  });
+  await eventLoopIteration();
+  t.like(readLatest('paused'), { newAccounts: 'incident', sends: 'incident' });
+
+  await E(creatorFacet).unpauseSends();
+  await sendTransactions(t, give, { messages: [evmMessage(10n)] });
+});
+
+const sponsorGas = async (t: ExecutionContext<Context>) => {
+  const { brands, creatorFacet, make, offer } = t.context;
+  const admin = await E(creatorFacet).getGasPoolAdmin();
+  await E(admin).setSponsorship({
+    brand: brands.AXL,
+    types: [1],
+    defaultQuota: 50n,
+  });
+  await offer(await E(admin).makeFundInvitation(), {
+    give: { Gas: make('AXL', 100n) },
+  });
+};
+
+const sponsoredCall = (amount: bigint) =>
+  evmMessage(amount, { type: 1, payload: [1, 2, 3] });
+
+test('the gas pool pays the gas of the messages it covers', async (t) => {
+  const { account, make, readLatest, loggedKinds } = t.context;
+  await sponsorGas(t);
+
+  await sendTransactions(
+    t,
+    { AXL: make('AXL', 30n) },
+    { messages: [sponsoredCall(30n)], gasAmount: 20 },
+  );
+
+  t.like(account.lca.transfers, [{ denom: DENOMS.AXL, value: 50n }]);
+  t.like(readLatest(`accounts.${account.address}.messages.1`), {
+    amount: make('AXL', 30n),
+    sponsoredGas: make('AXL', 20n),
+  });
+  t.like(readLatest('gasPool'), {
+    balance: make('AXL', 80n),
+    usage: { [account.address]: 20n },
+  });
+  t.true(loggedKinds().includes('gasSponsored'));
+});
+
+test('an offer that exits early leaves the sponsored gas', async (t) => {
+  const { account, make, makeOffer, getPayouts, readLatest, loggedKinds } =
+    t.context;
+  await sponsorGas(t);
+
+  const seat = await makeOffer(
+    await E(account.invitationMakers).SendTransactions(),
+    { give: { AXL: make('AXL', 30n) } },
+    { messages: [sponsoredCall(30n)], gasAmount: 20 },
+  );
+  // while the gas moves to the LCA
+  await E(seat).tryExit();
+
+  await t.throwsAsync(heapVowE.when(E(seat).getOfferResult()));
+  await eventLoopIteration();
+  t.deepEqual(await getPayouts(seat), { AXL: make('AXL', 30n) });
+  t.deepEqual(account.lca.transfers, []);
+  t.like(readLatest('gasPool'), {
+    balance: make('AXL', 100n),
+    usage: { [account.address]: 0n },
+  });
+  t.true(loggedKinds().includes('gasReclaimed'));
+});
+
+test('messages past the quota pay their own gas', async (t) => {
+  const { account, make, readLatest } = t.context;
+  await sponsorGas(t);
+
+  await sendTransactions(
+    t,
+    { AXL: make('AXL', 90n) },
+    {
+      messages: [sponsoredCall(30n), sponsoredCall(30n), sponsoredCall(30n)],
+      gasAmount: 20,
+    },
+  );
+
+  // the quota of 50 covers two transfers; Axelar takes the third's gas
+  // from its amount
+  t.like(account.lca.transfers, [
+    { denom: DENOMS.AXL, value: 50n },
+    { denom: DENOMS.AXL, value: 50n },
+    { denom: DENOMS.AXL, value: 30n },
+  ]);
+  t.like(readLatest(`accounts.${account.address}.messages.2`), {
+    sponsoredGas: make('AXL', 20n),
+  });
+  t.is(
+    readLatest(`accounts.${account.address}.messages.3`).sponsoredGas,
+    undefined,
+  );
+  t.like(readLatest('gasPool'), {
+    balance: make('AXL', 60n),
+    usage: { [account.address]: 40n },
+  });
+});
+
+test('an empty gas pool leaves the gas to the messages', async (t) => {
+  const { account, brands, creatorFacet, make, readLatest, loggedKinds } =
+    t.context;
+  const admin = await E(creatorFacet).getGasPoolAdmin();
+  await E(admin).setSponsorship({
+    brand: brands.AXL,
+    types: [1],
+    defaultQuota: 50n,
+  });
+
+  await sendTransactions(
+    t,
+    { AXL: make('AXL', 30n) },
+    { messages: [sponsoredCall(30n)], gasAmount: 20 },
+  );
+  t.like(account.lca.transfers, [{ denom: DENOMS.AXL, value: 30n }]);
+  t.is(
+    readLatest(`accounts.${account.address}.messages.1`).sponsoredGas,
+    undefined,
+  );
+  t.false(loggedKinds().includes('gasSponsored'));
+
+  await t.throwsAsync(
+    sendTransactions(
+      t,
+      { AXL: make('AXL', 10n) },
+      { messages: [sponsoredCall(10n)], gasAmount: 20 },
+    ),
+    { message: /less than the gas of "\[20n\]"/ },
+  );
+});
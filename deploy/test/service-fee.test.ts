@@ -0,0 +1,21 @@
+import test from 'ava';
+import { Far } from '@endo/far';
+import { computeServiceFee } from 'contract/utils/service-fee.js';
+
+const brand = Far('BLD brand', {});
+const other = Far('USDC brand', {});
+
+test('charges a flat fee per message and basis points in its brand', (t) => {
+  const fee = computeServiceFee({ brand, flat: 100n, basisPoints: 30n }, [
+    { brand, value: 1_000_000n },
+    { brand: other, value: 1_000_000n },
+  ]);
+  t.deepEqual(fee, { brand, value: 200n + 3_000n });
+});
+
+test('rounds basis points down', (t) => {
+  const fee = computeServiceFee({ brand, flat: 0n, basisPoints: 1n }, [
+    { brand, value: 9_999n },
+  ]);
+  t.is(fee.value, 0n);
+});
@@ -0,0 +1,39 @@
+import test from 'ava';
+import {
+  ANY_ADDRESS,
+  listsAddress,
+  normalizeTarget,
+} from 'contract/utils/targets.js';
+
+test('normalizes chains and EVM addresses', (t) => {
+  t.deepEqual(
+    normalizeTarget({
+      chain: 'Avalanche',
+      address: '0x20E68F6c276AC6E297aC46c84Ab260928276691D',
+    }),
+    {
+      chain: 'avalanche',
+      address: '0x20e68f6c276ac6e297ac46c84ab260928276691d',
+    },
+  );
+  t.deepEqual(normalizeTarget({ chain: 'ethereum' }), {
+    chain: 'ethereum',
+    address: ANY_ADDRESS,
+  });
+  t.deepEqual(normalizeTarget({ chain: 'Ethereum' }), {
+    chain: 'ethereum',
+    address: ANY_ADDRESS,
+  });
+  t.deepEqual(normalizeTarget({ chain: 'Osmosis' }), {
+    chain: 'osmosis',
+    address: ANY_ADDRESS,
+  });
+});
+
+test('a list covers its addresses, or the whole chain', (t) => {
+  const address = 'osmo1yh3ra8eage5xtr9a3m5utg6mx0pmqreytudaqj';
+  t.false(listsAddress(undefined, address));
+  t.false(listsAddress(['osmo1other'], address));
+  t.true(listsAddress([address], address));
+  t.true(listsAddress([ANY_ADDRESS], address));
+});
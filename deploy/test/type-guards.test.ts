@@ -0,0 +1,145 @@
+import test from 'ava';
+import {
+  MAX_PAYLOAD_BYTES,
+  MAX_TIMEOUT_SECONDS,
+  assertCrossChainContractMessage,
+  assertMakeAccountOfferArgs,
+  assertSendTransactionsOfferArgs,
+} from 'contract/utils/type-guards.js';
+
+const evmMessage = harden({
+  destinationAddress: '0x20E68F6c276AC6E297aC46c84Ab260928276691D',
+  type: 1,
+  chainType: 'evm',
+  payload: [0, 1, 255],
+  destinationChain: 'Avalanche',
+  amount: 1_000_000n,
+});
+
+const cosmosMessage = harden({
+  destinationAddress: 'osmo1yh3ra8eage5xtr9a3m5utg6mx0pmqreytudaqj',
+  chainType: 'cosmos',
+  destinationChain: 'Osmosis',
+  amount: 1_000_000n,
+});
+
+test('accepts well-formed EVM and Cosmos messages', (t) => {
+  t.notThrows(() => assertCrossChainContractMessage(evmMessage));
+  t.notThrows(() => assertCrossChainContractMessage(cosmosMessage));
+  t.notThrows(() =>
+    assertSendTransactionsOfferArgs(
+      harden({ messages: [evmMessage, cosmosMessage], gasAmount: 20_000 }),
+    ),
+  );
+});
+
+test('rejects malformed messages', (t) => {
+  const bad = [
+    { ...evmMessage, chainType: 'solana' },
+    { ...evmMessage, type: 4 },
+    { ...evmMessage, destinationAddress: '0x1234' },
+    { ...evmMessage, destinationAddress: cosmosMessage.destinationAddress },
+    { ...evmMessage, payload: [256] },
+    { ...evmMessage, payload: [1.5] },
+    { ...evmMessage, payload: Array(MAX_PAYLOAD_BYTES + 1).fill(0) },
+    { ...evmMessage, amount: 1 },
+    { ...cosmosMessage, destinationAddress: evmMessage.destinationAddress },
+    { ...cosmosMessage, destinationAddress: 'osmo1short' },
+  ];
+  for (const message of bad) {
+    t.throws(() => assertCrossChainContractMessage(harden(message)));
+  }
+});
+
+test('only Osmosis messages may swap', (t) => {
+  const swap = {
+    outputDenom: 'uosmo',
+    slippage: { minOutputAmount: 1n },
+  };
+  t.notThrows(() =>
+    assertCrossChainContractMessage(harden({ ...cosmosMessage, swap })),
+  );
+  t.throws(
+    () =>
+      assertCrossChainContractMessage(
+        harden({ ...cosmosMessage, destinationChain: 'dydx', swap }),
+      ),
+    { message: /only supported on Osmosis/ },
+  );
+});
+
+test('only dYdX messages may credit a subaccount', (t) => {
+  const dydxMessage = {
+    ...cosmosMessage,
+    destinationChain: 'Dydx',
+    destinationAddress: 'dydx1yh3ra8eage5xtr9a3m5utg6mx0pmqreyhuh5kc',
+  };
+  t.notThrows(() =>
+    assertCrossChainContractMessage(
+      harden({ ...dydxMessage, subaccountNumber: 0 }),
+    ),
+  );
+  t.throws(
+    () =>
+      assertCrossChainContractMessage(
+        harden({ ...cosmosMessage, subaccountNumber: 0 }),
+      ),
+    { message: /only supported on dYdX/ },
+  );
+  t.throws(() =>
+    assertCrossChainContractMessage(
+      harden({ ...dydxMessage, subaccountNumber: 128 }),
+    ),
+  );
+});
+
+test('bounds timeoutSeconds', (t) => {
+  t.notThrows(() =>
+    assertSendTransactionsOfferArgs(
+      harden({
+        messages: [{ ...cosmosMessage, timeoutSeconds: 3_600n }],
+        timeoutSeconds: MAX_TIMEOUT_SECONDS,
+      }),
+    ),
+  );
+  for (const timeoutSeconds of [0n, MAX_TIMEOUT_SECONDS + 1n, 60]) {
+    t.throws(() =>
+      assertSendTransactionsOfferArgs(
+        harden({ messages: [cosmosMessage], timeoutSeconds }),
+      ),
+    );
+  }
+});
+
+test('requires a positive gasAmount when a message pays gas', (t) => {
+  t.throws(() => assertSendTransactionsOfferArgs(harden({ messages: [] })), {
+    message: /at least one message/,
+  });
+  t.throws(
+    () => assertSendTransactionsOfferArgs(harden({ messages: [evmMessage] })),
+    { message: /gasAmount/ },
+  );
+  t.throws(() =>
+    assertSendTransactionsOfferArgs(
+      harden({ messages: [evmMessage], gasAmount: 0 }),
+    ),
+  );
+  t.notThrows(() =>
+    assertSendTransactionsOfferArgs(
+      harden({ messages: [{ ...evmMessage, type: 3 }, cosmosMessage] }),
+    ),
+  );
+});
+
+test('checks the label of a new account', (t) => {
+  t.notThrows(() => assertMakeAccountOfferArgs(harden({})));
+  t.notThrows(() => assertMakeAccountOfferArgs(harden({ label: 'trading' })));
+  t.throws(() => assertMakeAccountOfferArgs(harden({ label: '' })), {
+    message: /label must not be empty/,
+  });
+  t.throws(() =>
+    assertMakeAccountOfferArgs(
+      harden({ owner: 'agoric1yh3ra8eage5xtr9a3m5utg6mx0pmqreytudaqj' }),
+    ),
+  );
+});
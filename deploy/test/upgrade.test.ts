@@ -0,0 +1,201 @@
+import { startLife } from '@agoric/swingset-liveslots/tools/prepare-strict-test-env.js';
+import test from 'ava';
+import { makeFakeStorageKit } from '@agoric/internal/src/storage-test-utils.js';
+import { eventLoopIteration } from '@agoric/internal/src/testing-utils.js';
+import { makeTestAddress } from '@agoric/orchestration/tools/make-test-address.js';
+import { provideDurableMapStore } from '@agoric/vat-data';
+import { prepareVowTools } from '@agoric/vow';
+import { heapVowE } from '@agoric/vow/vat.js';
+import { makeDurableZone } from '@agoric/zone/durable.js';
+import type { Zone } from '@agoric/zone';
+import { Fail } from '@endo/errors';
+import { E, Far } from '@endo/far';
+import { makeMarshal } from '@endo/marshal';
+import { M } from '@endo/patterns';
+import { contract } from 'contract/src/qstn.contract.js';
+import { contract as baselineContract } from './fixtures/qstn-baseline/src/qstn.contract.js';
+import { chainInfo } from './utils/qstn-context.js';
+import { withTestOrchestration } from './utils/qstn-test-contract.js';
+
+const FakeI = (name: string) =>
+  M.interface(name, {}, { defaultGuards: 'passable' });
+
+const LCA_ADDRESS = makeTestAddress(0);
+
+/**
+ * Durable stand-ins for the orchestrator, its chains and accounts, and
+ * contract seats: the contract stores all of these, so they must outlive
+ * each incarnation the way their real counterparts in other vats do.
+ */
+const prepareFakes = (zone: Zone) => {
+  const { asVow } = prepareVowTools(zone.subZone('vows'));
+
+  const makeAccount = zone.exoClass(
+    'FakeAccount',
+    FakeI('FakeAccount'),
+    (chainId: string) => ({
+      address: harden({ chainId, value: LCA_ADDRESS, encoding: 'bech32' }),
+    }),
+    {
+      getAddress() {
+        return this.state.address;
+      },
+      monitorTransfers(_tap) {
+        return asVow(() => undefined);
+      },
+    },
+  );
+
+  const makeChain = zone.exoClass(
+    'FakeChain',
+    FakeI('FakeChain'),
+    (chainName: string) => ({ chainName }),
+    {
+      getChainInfo() {
+        return asVow(() => chainInfo[this.state.chainName]);
+      },
+      makeAccount() {
+        const { chainId } = chainInfo[this.state.chainName];
+        return asVow(() => makeAccount(chainId));
+      },
+      getVBankAssetInfo() {
+        return asVow(() => harden([]));
+      },
+    },
+  );
+
+  const orchestrator = zone.exo('FakeOrchestrator', FakeI('FakeOrchestrator'), {
+    getChain(chainName: string) {
+      return asVow(() => makeChain(chainName));
+    },
+  });
+
+  const makeSeat = zone.exoClass(
+    'FakeSeat',
+    FakeI('FakeSeat'),
+    () => ({ exited: false }),
+    {
+      exit() {
+        this.state.exited = true;
+      },
+      hasExited() {
+        return this.state.exited;
+      },
+      getProposal() {
+        return harden({ give: {}, want: {}, exit: { onDemand: null } });
+      },
+      getCurrentAllocation() {
+        return harden({});
+      },
+    },
+  );
+
+  return { orchestrator, makeSeat };
+};
+
+/**
+ * Starts a contract in the current incarnation, with a ZCF whose invitations
+ * a test redeems by calling their handlers.
+ */
+const startContract = async (baggage: any, contractFn: typeof contract) => {
+  const zone = makeDurableZone(baggage);
+  const { orchestrator, makeSeat } = prepareFakes(zone.subZone('fakes'));
+
+  const handlers = new Map<object, (seat: unknown, args?: unknown) => any>();
+  const zcf = {
+    getTerms: () => harden({ brands: {}, issuers: {} }),
+    makeInvitation: async (handler, description: string) => {
+      const invitation = Far('Invitation', {
+        getDescription: () => description,
+      });
+      handlers.set(invitation, handler);
+      return invitation;
+    },
+    makeEmptySeatKit: () => harden({ zcfSeat: makeSeat() }),
+    atomicRearrange: () => Fail`no allocations in this test`,
+  };
+  /** Redeems an invitation, as Zoe does for an offer, and waits for its result. */
+  const redeem = async (invitation: object, offerArgs?: unknown) => {
+    const handler = handlers.get(invitation) || Fail`not an invitation`;
+    const result = await heapVowE.when(handler(makeSeat(), offerArgs));
+    await eventLoopIteration();
+    return result;
+  };
+
+  // the board and the manual timer define durable kinds of their own, which
+  // the next incarnation would have to define again; the contract needs
+  // neither to publish plain data
+  const storage = makeFakeStorageKit('qstn');
+  const marshal = makeMarshal(undefined, undefined, {
+    serializeBodyFormat: 'smallcaps',
+  });
+  const facets = await withTestOrchestration(contractFn)(
+    zcf as any,
+    {
+      agoricNames: Far('agoricNames', {
+        lookup: (...path: string[]) => Fail`not in agoricNames: ${path}`,
+      }),
+      orchestrator,
+      timerService: Far('TimerService', {
+        getCurrentTimestamp: () => harden({ absValue: 0n }),
+      }),
+      storageNode: storage.rootNode,
+      marshaller: Far('Marshaller', {
+        toCapData: (value) => marshal.toCapData(value),
+      }),
+      chainInfo,
+    },
+    provideDurableMapStore(baggage, 'contract'),
+  );
+
+  /** The kinds of the events logged in this incarnation. */
+  const loggedKinds = () =>
+    storage
+      .getValues('qstn.log')
+      .map((value) => marshal.fromCapData(JSON.parse(value)).kind);
+
+  return {
+    facets,
+    redeem,
+    loggedKinds,
+    kept: provideDurableMapStore(baggage, 'kept'),
+  };
+};
+
+test('upgrades from the first release', async (t) => {
+  await startLife(
+    (baggage) => startContract(baggage, baselineContract),
+    async ({ facets, redeem, kept }) => {
+      await eventLoopIteration();
+      const invitation = await E(facets.publicFacet).createAndMonitorLCA();
+      const { invitationMakers } = await redeem(invitation);
+      kept.init('creatorFacet', facets.creatorFacet);
+      kept.init('publicFacet', facets.publicFacet);
+      kept.init('invitationMakers', invitationMakers);
+    },
+    { cleanStart: true },
+  );
+
+  await startLife(
+    (baggage) => startContract(baggage, contract),
+    async ({ facets, redeem, loggedKinds, kept }) => {
+      t.is(facets.creatorFacet, kept.get('creatorFacet'));
+      t.is(facets.publicFacet, kept.get('publicFacet'));
+
+      const kinds = loggedKinds();
+      t.false(kinds.includes('remoteChannelCreating'));
+      t.is(kinds.filter((k) => k === 'remoteChannelRegistered').length, 3);
+
+      const makers = kept.get('invitationMakers');
+      t.is(
+        await redeem(
+          await E(makers).makeTransactionInvitation('getLocalAddress', []),
+        ),
+        LCA_ADDRESS,
+      );
+      t.is(await redeem(await E(makers).GetNonce()), 0n);
+
+      await t.notThrowsAsync(E(facets.creatorFacet).setDefaultTimeout(60n));
+    },
+  );
+});
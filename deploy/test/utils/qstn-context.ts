@@ -0,0 +1,419 @@
+/**
+ * @file A QSTN contract running under a real Zoe, with the orchestration
+ *   layer faked below the async flows: the flows run as they do on chain, but
+ *   `orch.getChain()` hands out fake chains whose accounts hold payments in
+ *   purses and whose transfers settle when a test says so.
+ */
+import { AmountMath, makeIssuerKit, type Brand } from '@agoric/ertp';
+import { makeTracer } from '@agoric/internal';
+import { makeFakeStorageKit } from '@agoric/internal/src/storage-test-utils.js';
+import { eventLoopIteration } from '@agoric/internal/src/testing-utils.js';
+import { makeTestAddress } from '@agoric/orchestration/tools/make-test-address.js';
+import { makeFakeBoard } from '@agoric/vats/tools/board-utils.js';
+import { prepareVowTools, type VowKit } from '@agoric/vow';
+import { heapVowE } from '@agoric/vow/vat.js';
+import { buildZoeManualTimer } from '@agoric/zoe/tools/manualTimer.js';
+import { makeFakeVatAdmin } from '@agoric/zoe/tools/fakeVatAdmin.js';
+import { makeZoeForTest } from '@agoric/zoe/tools/setup-zoe.js';
+import { makeHeapZone } from '@agoric/zone';
+import { encodeBase64 } from '@endo/base64';
+import { bundleTestExports } from '@endo/import-bundle';
+import { Fail } from '@endo/errors';
+import { E, Far } from '@endo/far';
+import fetchedChainInfo from './fetched-chain-info.js';
+import * as qstnTestContract from './qstn-test-contract.js';
+
+const trace = makeTracer('QstnTest', false);
+
+export const DENOMS = {
+  BLD: 'ubld',
+  USDC: 'ibc/FE98AAD68F02F03565E9FA39A5E627946699B2B07115889ED812D8BA639576A9',
+  AXL: 'ibc/2CC0B1B7A981ACC74854717F221008484603BB8360E81B262411B0D830EDE9B0',
+} as const;
+
+/** Keywords of the contract's brands. ATOM has no vbank denom. */
+export type Keyword = keyof typeof DENOMS | 'ATOM';
+
+const { agoric, axelar, dydx, noble, osmosis } = fetchedChainInfo;
+
+const connection = (channelId: string, counterPartyChannelId: string) => ({
+  ...agoric.connections.axelar,
+  transferChannel: {
+    ...agoric.connections.axelar.transferChannel,
+    channelId,
+    counterPartyChannelId,
+  },
+});
+
+/**
+ * The chains the contract starts with. Agoric has no channel to dYdX in the
+ * fetched info, nor Osmosis one to Axelar, so those are made up. Remote
+ * channels take their denom from the staking token, which the fetched Noble
+ * info lacks.
+ */
+export const chainInfo = harden({
+  agoric: {
+    ...agoric,
+    connections: {
+      ...agoric.connections,
+      [dydx.chainId]: connection('channel-200', 'channel-33'),
+    },
+  },
+  axelar: { ...axelar, connections: {} },
+  dydx: { ...dydx, connections: {} },
+  noble: { ...noble, stakingTokens: [{ denom: 'ustake' }], connections: {} },
+  osmosis: {
+    ...osmosis,
+    connections: { [axelar.chainId]: connection('channel-208', 'channel-3') },
+  },
+});
+
+type Transfer = {
+  destination: { value: string; chainId: string };
+  denom: string;
+  value: bigint;
+  memo: string;
+  timeoutTimestamp: bigint;
+  sequence: bigint;
+  settle: (error?: string) => void;
+};
+
+/**
+ * Makes the fake chains, and the accounts they hand out.
+ */
+const makeFakeChains = (
+  issuers: Record<Keyword, ReturnType<typeof makeIssuerKit<'nat'>>>,
+) => {
+  const vowTools = prepareVowTools(makeHeapZone());
+  const { asVow } = vowTools;
+
+  const brandOf = (denom: string) => {
+    const entry = Object.entries(DENOMS).find(([_k, d]) => d === denom);
+    entry || Fail`no brand for ${denom}`;
+    return issuers[entry![0] as Keyword].brand;
+  };
+  const assets = harden(
+    Object.entries(DENOMS).map(([keyword, denom]) => ({
+      brand: issuers[keyword as Keyword].brand,
+      issuer: issuers[keyword as Keyword].issuer,
+      denom,
+      issuerName: keyword,
+      displayInfo: { assetKind: 'nat', decimalPlaces: 6 },
+    })),
+  );
+
+  let accountCount = 0;
+  let nextAccountFails = false;
+  let sequence = 0n;
+  /** Accounts handed out, by address. */
+  const accounts = new Map<string, ReturnType<typeof makeAccount>>();
+
+  const makeAccount = (chainName: string) => {
+    const { bech32Prefix, chainId } = chainInfo[chainName];
+    accountCount += 1;
+    const address = harden({
+      chainId,
+      value: makeTestAddress(accountCount, bech32Prefix),
+      encoding: 'bech32' as const,
+    });
+    const purses = new Map<Brand, any>();
+    const purseOf = (brand: Brand) => {
+      if (!purses.has(brand)) {
+        const kit = Object.values(issuers).find((k) => k.brand === brand);
+        purses.set(brand, kit!.issuer.makeEmptyPurse());
+      }
+      return purses.get(brand);
+    };
+    const transfers: Transfer[] = [];
+    const txs: { messages: unknown[]; kit: VowKit<string> }[] = [];
+    let tap: any;
+    let failNextDeposit = false;
+
+    const account = Far('FakeAccount', {
+      getAddress: () => address,
+      deposit: (payment) =>
+        asVow(async () => {
+          if (failNextDeposit) {
+            failNextDeposit = false;
+            throw Error('deposit failed');
+          }
+          const brand = await E(payment).getAllegedBrand();
+          return purseOf(brand).deposit(payment);
+        }),
+      withdraw: (amount) => asVow(() => purseOf(amount.brand).withdraw(amount)),
+      getBalance: (denom: string) =>
+        asVow(() => ({
+          denom,
+          value: purseOf(brandOf(denom)).getCurrentAmount().value,
+        })),
+      send: (_to, _amount) => asVow(() => undefined),
+      monitorTransfers: (handler) =>
+        asVow(() => {
+          tap = handler;
+          return Far('Registration', {});
+        }),
+      executeEncodedTx: (messages: unknown[]) => {
+        const kit = vowTools.makeVowKit<string>();
+        txs.push({ messages, kit });
+        return kit.vow;
+      },
+      transfer: (destination, { denom, value }, { memo, timeoutTimestamp }) => {
+        const amount = AmountMath.make(brandOf(denom), value);
+        const payment = purseOf(amount.brand).withdraw(amount);
+        const kit = vowTools.makeVowKit<void>();
+        sequence += 1n;
+        transfers.push({
+          destination,
+          denom,
+          value,
+          memo,
+          timeoutTimestamp,
+          sequence,
+          settle: (error) => {
+            if (error) {
+              // the transfer module refunds a failed transfer
+              purseOf(amount.brand).deposit(payment);
+              kit.resolver.reject(Error(error));
+            } else {
+              kit.resolver.resolve(undefined);
+            }
+          },
+        });
+        return kit.vow;
+      },
+    });
+
+    const controls = {
+      address,
+      account,
+      transfers,
+      txs,
+      balance: (brand: Brand) => purseOf(brand).getCurrentAmount(),
+      failNextDeposit: () => {
+        failNextDeposit = true;
+      },
+      /** Delivers a transfer event to the account's tap, as vtransfer does. */
+      upcall: (
+        event: string,
+        { memo = '', sequence: seq = 0n, sourceChannel = 'channel-0' } = {},
+      ) => {
+        tap || Fail`${address.value} is not monitored`;
+        const data = JSON.stringify({
+          amount: '1',
+          denom: 'uaxl',
+          memo,
+          receiver: address.value,
+          sender: 'axelar1sender',
+        });
+        return E(tap).receiveUpcall(
+          harden({
+            event,
+            packet: {
+              data: encodeBase64(new TextEncoder().encode(data)),
+              sequence: String(seq),
+              source_channel: sourceChannel,
+              source_port: 'transfer',
+              destination_channel: 'channel-1',
+              destination_port: 'transfer',
+            },
+          }),
+        );
+      },
+    };
+    accounts.set(address.value, controls);
+    trace('made account', address.value);
+    return controls;
+  };
+
+  const makeChain = (chainName: string) =>
+    Far('FakeChain', {
+      getChainInfo: () => asVow(() => chainInfo[chainName]),
+      makeAccount: () =>
+        asVow(() => {
+          if (nextAccountFails) {
+            nextAccountFails = false;
+            throw Error('account creation failed');
+          }
+          return makeAccount(chainName).account;
+        }),
+      getVBankAssetInfo: () => asVow(() => assets),
+    });
+
+  const orchestrator = Far('FakeOrchestrator', {
+    getChain: (chainName: string) =>
+      asVow(() => {
+        chainName in chainInfo || Fail`unknown chain ${chainName}`;
+        return makeChain(chainName);
+      }),
+  });
+
+  /** Makes the next chain account the orchestrator makes fail. */
+  const failNextAccount = () => {
+    nextAccountFails = true;
+  };
+
+  return { orchestrator, accounts, failNextAccount };
+};
+
+/**
+ * Starts the contract under a real Zoe, with USDC, BLD and AXL as its
+ * brands, and ATOM as one that the LCA can hold but not send.
+ */
+export const makeQstnContext = async () => {
+  const issuers = {
+    BLD: makeIssuerKit<'nat'>('BLD'),
+    USDC: makeIssuerKit<'nat'>('USDC'),
+    AXL: makeIssuerKit<'nat'>('AXL'),
+    ATOM: makeIssuerKit<'nat'>('ATOM'),
+  };
+  const brands = Object.fromEntries(
+    Object.entries(issuers).map(([k, kit]) => [k, kit.brand]),
+  ) as Record<Keyword, Brand<'nat'>>;
+
+  // no loopback between the test and Zoe, so that the contract gets the fake
+  // chains themselves, which async flows need
+  const { admin, vatAdminState } = makeFakeVatAdmin();
+  const zoe = makeZoeForTest(admin);
+  vatAdminState.installBundle(
+    'b1-qstn',
+    bundleTestExports({ ...qstnTestContract }),
+  );
+  const installation = await E(zoe).installBundleID('b1-qstn');
+
+  const storage = makeFakeStorageKit('qstn');
+  const board = makeFakeBoard();
+  const timer = buildZoeManualTimer();
+  const { orchestrator, accounts, failNextAccount } = makeFakeChains(issuers);
+
+  const agoricNames = Far('agoricNames', {
+    lookup: (...path: string[]) => Fail`not in agoricNames: ${path}`,
+  });
+  // AXL is issued on Axelar; the chainHub treats the others as Agoric's own
+  const assetInfo = Object.entries(DENOMS).map(([brandKey, denom]) => [
+    denom,
+    brandKey === 'AXL'
+      ? { baseName: 'axelar', chainName: 'agoric', baseDenom: 'uaxl', brandKey }
+      : { baseName: 'agoric', chainName: 'agoric', baseDenom: denom, brandKey },
+  ]);
+
+  const { creatorFacet, publicFacet } = await E(zoe).startInstance(
+    installation,
+    Object.fromEntries(
+      Object.entries(issuers).map(([k, kit]) => [k, kit.issuer]),
+    ),
+    {},
+    {
+      agoricNames,
+      orchestrator,
+      timerService: timer,
+      storageNode: storage.rootNode,
+      marshaller: board.getPublishingMarshaller(),
+      chainInfo,
+      assetInfo,
+    },
+  );
+  await eventLoopIteration();
+
+  const readonly = board.getReadonlyMarshaller();
+  /** All the values written to a vstorage node, unmarshalled. */
+  const readAll = (path: string) =>
+    storage
+      .getValues(`qstn.${path}`)
+      .map((value) => readonly.fromCapData(JSON.parse(value)));
+  /** The latest value written to a vstorage node, unmarshalled. */
+  const readLatest = (path: string) => readAll(path).at(-1);
+  /** The kinds of the events logged so far. */
+  const loggedKinds = () => readAll('log').map(({ kind }) => kind);
+
+  const make = (keyword: Keyword, value: bigint) =>
+    AmountMath.make(brands[keyword], value);
+  const pay = (amounts: Record<string, { brand: Brand; value: bigint }>) =>
+    Object.fromEntries(
+      Object.entries(amounts).map(([kw, amount]) => {
+        const kit = Object.values(issuers).find(
+          (k) => k.brand === amount.brand,
+        );
+        return [kw, kit!.mint.mintPayment(amount)];
+      }),
+    );
+
+  /** Makes an offer without waiting for it to settle. */
+  const makeOffer = (
+    invitation: unknown,
+    proposal: Record<string, unknown> = {},
+    offerArgs?: unknown,
+  ) => {
+    const { give = {} } = proposal as { give?: Record<string, any> };
+    return E(zoe).offer(
+      invitation as any,
+      harden(proposal),
+      harden(pay(give)),
+      offerArgs === undefined ? undefined : harden(offerArgs),
+    );
+  };
+
+  /**
+   * Makes an offer and waits for its result, or fails with its error.
+   */
+  const offer = async (
+    invitation: unknown,
+    proposal: Record<string, unknown> = {},
+    offerArgs?: unknown,
+  ) => {
+    const seat = await makeOffer(invitation, proposal, offerArgs);
+    // flows return vows, which the smart wallet waits for
+    const result = await heapVowE.when(E(seat).getOfferResult());
+    await eventLoopIteration();
+    return { seat, result };
+  };
+
+  /** The amounts paid out to a seat, by keyword. */
+  const getPayouts = async (seat: any) => {
+    const payouts = await E(seat).getPayouts();
+    const amounts = await Promise.all(
+      Object.entries(payouts).map(async ([kw, payment]) => {
+        const brand = await E(payment).getAllegedBrand();
+        const kit = Object.values(issuers).find((k) => k.brand === brand);
+        return [kw, await kit!.issuer.getAmountOf(payment)];
+      }),
+    );
+    return Object.fromEntries(amounts);
+  };
+
+  /**
+   * Makes an account through the public facet. Returns its invitation
+   * makers and its fake LCA.
+   */
+  const makeAccount = async (offerArgs: Record<string, unknown> = {}) => {
+    const invitation = await E(publicFacet).createAndMonitorLCA();
+    const { result } = await offer(invitation, {}, offerArgs);
+    const { invitationMakers } = result as { invitationMakers: any };
+    const { result: lcaAddress } = await offer(
+      await E(invitationMakers).GetLocalAddress(),
+    );
+    const lca = accounts.get(lcaAddress as string)!;
+    return { invitationMakers, lca, address: lcaAddress as string };
+  };
+
+  return {
+    zoe,
+    creatorFacet,
+    publicFacet,
+    issuers,
+    brands,
+    storage,
+    timer,
+    accounts,
+    readAll,
+    readLatest,
+    loggedKinds,
+    make,
+    makeOffer,
+    offer,
+    getPayouts,
+    makeAccount,
+    failNextAccount,
+  };
+};
+
+export type QstnContext = Awaited<ReturnType<typeof makeQstnContext>>;
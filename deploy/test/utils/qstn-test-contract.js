@@ -0,0 +1,62 @@
+/**
+ * @file The QSTN contract, started the way `withOrchestration` starts it but
+ *   with `privateArgs.orchestrator` in place of the orchestrator it would make
+ *   from the chain's services.
+ */
+import { prepareAsyncFlowTools } from '@agoric/async-flow';
+import { makeChainHub } from '@agoric/orchestration/src/exos/chain-hub.js';
+import { makeOrchestrationFacade } from '@agoric/orchestration/src/facade.js';
+import { makeZoeTools } from '@agoric/orchestration/src/utils/zoe-tools.js';
+import { prepareVowTools } from '@agoric/vow';
+import { makeDurableZone } from '@agoric/zone/durable.js';
+import { contract } from 'contract/src/qstn.contract.js';
+
+/**
+ * @import {ZCF} from '@agoric/zoe';
+ * @import {Baggage} from '@agoric/vat-data';
+ */
+
+/**
+ * Wraps a contract the way `withOrchestration` does.
+ *
+ * @param {typeof contract} contractFn
+ */
+export const withTestOrchestration =
+  (contractFn) =>
+  /**
+   * @param {ZCF} zcf
+   * @param {any} privateArgs
+   * @param {Baggage} baggage
+   */
+  async (zcf, privateArgs, baggage) => {
+    const zone = makeDurableZone(baggage);
+    const vowTools = prepareVowTools(zone.subZone('vows'));
+    const chainHub = makeChainHub(
+      zone.subZone('chainHub'),
+      privateArgs.agoricNames,
+      vowTools,
+    );
+    const asyncFlowTools = prepareAsyncFlowTools(zone.subZone('asyncFlow'), {
+      vowTools,
+    });
+    const contractZone = zone.subZone('contract');
+    const { orchestrateAll } = makeOrchestrationFacade({
+      zone: contractZone.subZone('orchestration'),
+      zcf,
+      makeOrchestrator: () => privateArgs.orchestrator,
+      asyncFlowTools,
+      vowTools,
+      timerService: privateArgs.timerService,
+      orchestrationService: privateArgs.orchestrator,
+    });
+    return contractFn(zcf, privateArgs, contractZone, {
+      chainHub,
+      orchestrateAll,
+      vowTools,
+      zoeTools: makeZoeTools(zcf, vowTools),
+    });
+  };
+harden(withTestOrchestration);
+
+export const start = withTestOrchestration(contract);
+harden(start);
@@ -1,6 +1,8 @@
 import { handleOffer } from '../Utils';
 import { useAppStore } from '../state';
-import { ContractCall, OfferArgs } from 'contract/types';
+import { ContractCall } from 'contract/types';
+import { buildGMPPayload } from 'contract/utils/gmp.js';
+import type { CrossChainContractMessage } from 'contract/utils/types.js';
 import './MakeAccount.css';
 import { useState, useEffect } from 'react';
 import { LatestInvitation } from '../types';
@@ -86,24 +88,26 @@ export const MakeAccount = () => {
       },
     ];
 
-    const sendGmpArgs: OfferArgs = {
-      destinationAddress: factoryContractAddress,
-      type: 1,
-      gasAmount: 20000,
-      destinationEVMChain: 'Ethereum',
-      contractInvocationData,
-    };
+    const messages: CrossChainContractMessage[] = [
+      {
+        chainType: 'evm',
+        destinationChain: 'Ethereum',
+        destinationAddress: factoryContractAddress,
+        type: 1,
+        payload: buildGMPPayload(contractInvocationData),
+        amount: amountValue,
+      },
+    ];
 
     await handleOffer({
       toastMessage: 'Submitting GMP transaction...',
       invitationSpec: {
         source: 'continuing',
         previousOffer: latestInvitation[0],
-        invitationMakerName: 'makeEVMTransactionInvitation',
-        invitationArgs: harden(['sendGmp', [sendGmpArgs]]),
+        invitationMakerName: 'SendTransactions',
       },
       proposal: { give },
-      offerArgs: {},
+      offerArgs: { messages, gasAmount: 20000 },
       onSuccessMessage: 'Transaction Submitted Successfully',
     });
   };